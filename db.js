@@ -1,6 +1,8 @@
 // db.js - Rewritten for PostgreSQL with proper error handling
 import pg from 'pg';
 import dotenv from 'dotenv';
+import logger, { getRequestContext } from './utils/logger.js';
+import { histogram, gauge } from './utils/metrics.js';
 
 const { Pool } = pg;
 dotenv.config();
@@ -9,8 +11,7 @@ dotenv.config();
 
 // Validate required environment variables
 if (!process.env.DATABASE_URL) {
-  console.error('❌ FATAL ERROR: DATABASE_URL environment variable is not set.');
-  console.error('Please add DATABASE_URL to your .env file');
+  logger.error('FATAL: DATABASE_URL environment variable is not set. Please add DATABASE_URL to your .env file');
   process.exit(1);
 }
 
@@ -26,19 +27,84 @@ export const pool = new Pool({
   application_name: 'synapse_backend',
 });
 
+// ========== QUERY INSTRUMENTATION ==========
+
+// Queries slower than this are logged as warnings, with the id of the request that ran them
+const SLOW_QUERY_MS = parseInt(process.env.SLOW_QUERY_MS, 10) || 1000;
+
+const queryDuration = histogram('db_query_duration_seconds', 'Database query duration in seconds.', ['outcome']);
+
+const queryText = (args) => String(typeof args[0] === 'string' ? args[0] : args[0]?.text || '');
+
+const observeQuery = (text, startedAt, context, error) => {
+  const durationMs = Date.now() - startedAt;
+  queryDuration.observe({ outcome: error ? 'error' : 'success' }, durationMs / 1000);
+  if (durationMs > SLOW_QUERY_MS) {
+    logger.warn('Slow query', {
+      durationMs,
+      query: text.replace(/\s+/g, ' ').substring(0, 200),
+      ...(context?.requestId && { requestId: context.requestId }),
+      ...(error && { failed: true }),
+    });
+  }
+};
+
+/**
+ * Times every query a pooled client runs. The request context is read when the query is
+ * issued, since pg invokes its callbacks from socket events outside the request.
+ */
+const instrumentClient = (client) => {
+  const originalQuery = client.query.bind(client);
+  client.query = (...args) => {
+    const context = getRequestContext();
+    const startedAt = Date.now();
+    const text = queryText(args);
+    const callbackIndex = args.findIndex(arg => typeof arg === 'function');
+    if (callbackIndex !== -1) {
+      const callback = args[callbackIndex];
+      args[callbackIndex] = (error, result) => {
+        observeQuery(text, startedAt, context, error);
+        callback(error, result);
+      };
+      return originalQuery(...args);
+    }
+    const result = originalQuery(...args);
+    if (typeof result?.then === 'function') {
+      result.then(() => observeQuery(text, startedAt, context), (error) => observeQuery(text, startedAt, context, error));
+    }
+    return result;
+  };
+};
+
+// pg-pool hands queued pool.query() calls their client from whichever request releases one,
+// so checking out the client with await keeps the caller's request context for the query.
+pool.query = async (...args) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(...args);
+    client.release();
+    return result;
+  } catch (error) {
+    // Same as pg-pool: a client whose query failed is discarded rather than reused
+    client.release(error);
+    throw error;
+  }
+};
+
 // ========== CONNECTION EVENT HANDLERS ==========
 
-pool.on('connect', () => {
-  console.log('✅ New database connection established');
+pool.on('connect', (client) => {
+  instrumentClient(client);
+  logger.debug('New database connection established');
 });
 
 pool.on('error', (err) => {
-  console.error('❌ Unexpected error on idle client in pool:', err.message);
+  logger.error('Unexpected error on idle client in pool:', err.message);
   process.exit(-1);
 });
 
 pool.on('remove', () => {
-  console.log('⚠️ Database connection removed from pool');
+  logger.debug('Database connection removed from pool');
 });
 
 // ========== CONNECTION RETRY LOGIC ==========
@@ -55,25 +121,24 @@ export const connectWithRetry = async (retries = 5, delay = 5000) => {
   while (attempt < retries) {
     try {
       attempt++;
-      console.log(`🔄 Database connection attempt ${attempt}/${retries}...`);
+      logger.info(`Database connection attempt ${attempt}/${retries}...`);
 
       // Test the connection
       const client = await pool.connect();
       const result = await client.query('SELECT NOW()');
 
-      console.log(`✅ Database connected successfully on attempt ${attempt}`);
-      console.log(`⏰ Database server time: ${result.rows[0].now}`);
+      logger.info(`Database connected successfully on attempt ${attempt}`, { serverTime: result.rows[0].now });
 
       client.release();
       return; // Success
     } catch (err) {
-      console.error(`❌ Connection attempt ${attempt} failed: ${err.message}`);
+      logger.error(`Connection attempt ${attempt} failed: ${err.message}`);
 
       if (attempt < retries) {
-        console.log(`⏳ Retrying in ${delay / 1000} seconds...`);
+        logger.info(`Retrying in ${delay / 1000} seconds...`);
         await new Promise(res => setTimeout(res, delay));
       } else {
-        console.error('❌ FATAL: Max database connection retries reached.');
+        logger.error('FATAL: Max database connection retries reached.');
         throw new Error(
           `Failed to connect to database after ${retries} attempts. ` +
           `Last error: ${err.message}`
@@ -92,19 +157,10 @@ export const connectWithRetry = async (retries = 5, delay = 5000) => {
  * @returns {Promise<object>} - Query result from PostgreSQL
  */
 export const query = async (text, params) => {
-  const start = Date.now();
   try {
-    const result = await pool.query(text, params);
-    const duration = Date.now() - start;
-    
-    if (duration > 1000) {
-      console.warn(`⚠️ Slow query (${duration}ms): ${text.substring(0, 50)}...`);
-    }
-    
-    return result;
+    return await pool.query(text, params);
   } catch (error) {
-    console.error('❌ Query error:', error.message);
-    console.error('Query:', text.substring(0, 100));
+    logger.error('Query error:', error.message, { query: text.substring(0, 100) });
     throw error;
   }
 };
@@ -123,7 +179,7 @@ export const transaction = async (callback) => {
     return result;
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('❌ Transaction error:', error.message);
+    logger.error('Transaction error:', error.message);
     throw error;
   } finally {
     client.release();
@@ -170,11 +226,11 @@ export const getClient = async () => {
  */
 export const closePool = async () => {
   try {
-    console.log('🔌 Closing database connection pool...');
+    logger.info('Closing database connection pool...');
     await pool.end();
-    console.log('✅ Database connection pool closed successfully');
+    logger.info('Database connection pool closed successfully');
   } catch (error) {
-    console.error('❌ Error closing database pool:', error.message);
+    logger.error('Error closing database pool:', error.message);
     throw error;
   }
 };
@@ -193,12 +249,24 @@ export const getPoolStatus = () => {
   };
 };
 
+// Pool saturation at scrape time: in-use connections near the max with requests waiting means
+// the pool (or the database) is the bottleneck
+gauge('db_pool_connections', 'Database pool connections by state.', {
+  labelNames: ['state'],
+  collect: () => [
+    { labels: { state: 'idle' }, value: pool.idleCount },
+    { labels: { state: 'in_use' }, value: pool.totalCount - pool.idleCount },
+  ],
+});
+gauge('db_pool_max_connections', 'Configured size of the database pool.', { collect: () => pool.options.max });
+gauge('db_pool_waiting_requests', 'Queries waiting for a free pool connection.', { collect: () => pool.waitingCount });
+
 /**
- * Log pool status to console
+ * Log pool status
  */
 export const logPoolStatus = () => {
   const status = getPoolStatus();
-  console.log('📊 Database Pool Status:', status);
+  logger.info('Database pool status', status);
 };
 
 // ========== EXPORT DEFAULT OBJECT ==========
@@ -0,0 +1,61 @@
+// middleware/accessLog.js
+import logger, { getRequestContext } from '../utils/logger.js';
+import { observeHttpRequest } from '../utils/metrics.js';
+
+/**
+ * Records the matched route pattern as req.routePattern (e.g. "/api/hoc/:id/cancel").
+ * Express sets req.route when a route matches, while req.baseUrl still holds the router's
+ * mount path; an error forwarded out of the router resets baseUrl, so it is captured here.
+ */
+const captureRoutePattern = (req) => {
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value) req.routePattern = `${req.baseUrl}${value.path}`;
+    },
+  });
+};
+
+/**
+ * Logs one line per request once the response is sent (or the client goes away):
+ * method, route, status and latency, and records the same in the HTTP metrics.
+ * Matched routes are logged by pattern rather than the raw path, so ids and secret URL
+ * segments (calendar feed tokens) stay out of the logs. Must run after requestId.
+ */
+export const accessLog = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  // Response events fire outside the request's async context, so keep a reference to it
+  const context = getRequestContext();
+  captureRoutePattern(req);
+
+  let logged = false;
+  const logRequest = () => {
+    if (logged) return;
+    logged = true;
+    const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100;
+    const route = req.routePattern || req.originalUrl.split('?')[0];
+    const aborted = !res.writableFinished;
+    // Unmatched paths are arbitrary client input, so they share one metrics label
+    observeHttpRequest({ method: req.method, route: req.routePattern || 'unmatched', status: res.statusCode, durationSeconds: durationMs / 1000 });
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 || aborted ? 'warn' : 'info';
+
+    logger[level](`${req.method} ${route} ${res.statusCode} ${durationMs}ms`, {
+      type: 'access',
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs,
+      ...(aborted && { aborted: true }),
+      ...(context?.requestId && { requestId: context.requestId }),
+      ...(context?.userId && { userId: context.userId }),
+    });
+  };
+
+  res.once('finish', logRequest);
+  res.once('close', logRequest);
+  next();
+};
@@ -2,51 +2,105 @@
 import jwt from 'jsonwebtoken';
 import { pool } from '../db.js';
 import { sendError } from '../utils/responceHandler.js';
+import { ERROR_CODES } from '../utils/errors.js';
+import logger, { setRequestContext } from '../utils/logger.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Verifies an access token and loads the user behind it. Shared by protect and the realtime socket handshake.
+ * @returns {Promise<object>} - { user, sessionId, expiresAt } on success, { error, code } otherwise
+ */
+export const authenticateToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    logger.warn('Token verification failed:', error.message);
+    if (error.name === 'JsonWebTokenError') return { error: 'Not authorized, token failed.', code: ERROR_CODES.TOKEN_INVALID };
+    if (error.name === 'TokenExpiredError') return { error: 'Not authorized, token expired.', code: ERROR_CODES.TOKEN_EXPIRED };
+    return { error: 'Not authorized, token invalid.', code: ERROR_CODES.TOKEN_INVALID };
+  }
+
+  // Tokens issued before sessions existed carry no sessionId and cannot be revoked
+  if (!decoded.sessionId) {
+    return { error: 'Not authorized, session required. Please log in again.', code: ERROR_CODES.SESSION_REVOKED };
+  }
+
+  const sessionResult = await pool.query(
+    `SELECT 1 FROM user_sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [decoded.sessionId, decoded.userId]
+  );
+  if (sessionResult.rows.length === 0) {
+    return { error: 'Not authorized, session revoked or expired.', code: ERROR_CODES.SESSION_REVOKED };
+  }
+
+  const userResult = await pool.query(
+    'SELECT id, email, full_name as "fullName", department, academic_year as "academicYear", is_hoc as "isHoc", is_admin as "isAdmin", timezone FROM users WHERE id = $1 AND deleted_at IS NULL',
+    [decoded.userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    return { error: 'Not authorized, user not found.', code: ERROR_CODES.SESSION_REVOKED };
+  }
+
+  return { user: userResult.rows[0], sessionId: decoded.sessionId, expiresAt: decoded.exp * 1000 };
+};
+
 export const protect = async (req, res, next) => {
-  let token;
   const authHeader = req.headers.authorization;
 
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    try {
-      token = authHeader.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      const userResult = await pool.query(
-        'SELECT id, email, full_name as "fullName", department, academic_year as "academicYear", is_hoc as "isHoc" FROM users WHERE id = $1',
-        [decoded.userId]
-      );
-
-      if (userResult.rows.length === 0) {
-        return sendError(res, 'Not authorized, user not found.', 401);
-      }
-
-      req.user = userResult.rows[0];
-      next();
-    } catch (error) {
-      console.error('Token verification failed:', error.message);
-      if (error.name === 'JsonWebTokenError') {
-        return sendError(res, 'Not authorized, token failed.', 401);
-      }
-      if (error.name === 'TokenExpiredError') {
-        return sendError(res, 'Not authorized, token expired.', 401);
-      }
-      return sendError(res, 'Not authorized, token invalid.', 401);
-    }
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return sendError(res, 'Not authorized, no token provided.', 401, ERROR_CODES.AUTH_REQUIRED);
   }
 
-  if (!token) {
-    return sendError(res, 'Not authorized, no token provided.', 401);
+  try {
+    const auth = await authenticateToken(authHeader.split(' ')[1]);
+    if (auth.error) {
+      return sendError(res, auth.error, 401, auth.code);
+    }
+
+    req.user = auth.user;
+    req.sessionId = auth.sessionId;
+    setRequestContext({ userId: auth.user.id });
+    next();
+  } catch (error) {
+    logger.error('Authentication lookup failed:', error.message);
+    return sendError(res, 'Not authorized, token invalid.', 401, ERROR_CODES.TOKEN_INVALID);
   }
 };
 
-export const hocOnly = (req, res, next) => {
-    if (req.user && req.user.isHoc === true) {
-        next();
-    } else {
-        return sendError(res, 'Forbidden: Head of Class privileges required.', 403);
+// Role name -> predicate over req.user. Routes declare the roles they need via requireRole().
+const ROLE_CHECKS = {
+  hoc: (user) => user.isHoc === true,
+  admin: (user) => user.isAdmin === true,
+};
+
+const ROLE_LABELS = {
+  hoc: 'Head of Class',
+  admin: 'Administrator',
+};
+
+/**
+ * Builds middleware that allows the request through if req.user holds ANY of the given roles.
+ * Must run after protect.
+ * @param {...string} roles - Role names from ROLE_CHECKS (e.g. 'hoc', 'admin')
+ */
+export const requireRole = (...roles) => {
+  const unknown = roles.filter(role => !ROLE_CHECKS[role]);
+  if (roles.length === 0 || unknown.length > 0) {
+    throw new Error(`requireRole called with unknown role(s): ${unknown.join(', ') || '(none)'}`);
+  }
+
+  return (req, res, next) => {
+    if (req.user && roles.some(role => ROLE_CHECKS[role](req.user))) {
+      return next();
     }
-};
\ No newline at end of file
+    const required = roles.map(role => ROLE_LABELS[role]).join(' or ');
+    return sendError(res, `Forbidden: ${required} privileges required.`, 403);
+  };
+};
+
+export const hocOnly = requireRole('hoc');
@@ -0,0 +1,74 @@
+// middleware/rateLimit.js
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+import { RateLimitError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Parses a duration like "30s", "15m" or "1h" into milliseconds. Returns null if malformed.
+ */
+export const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smh])$/.exec(String(value).trim());
+  return match && Number(match[1]) > 0 ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+};
+
+// RATE_LIMIT_<NAME>_<BY> overrides a limit, e.g. RATE_LIMIT_LOGIN_IP="50/15m"; "off" disables it
+const resolveLimit = (name, by, max, window) => {
+  const variable = `RATE_LIMIT_${name}_${by}`.toUpperCase();
+  const override = process.env[variable];
+  if (override === 'off') return null;
+  const [maxText, windowText] = override ? override.split('/') : [String(max), window];
+  const limit = { max: parseInt(maxText, 10), windowMs: parseDuration(windowText) };
+  if (!(limit.max > 0) || !limit.windowMs) {
+    throw new Error(`Invalid rate limit for ${variable}: "${override ?? `${max}/${window}`}". Use e.g. "10/15m" or "off".`);
+  }
+  return limit;
+};
+
+/**
+ * Sets the RateLimit-* headers (IETF draft names). Returns seconds until the window resets.
+ */
+export const setRateLimitHeaders = (res, { limit, remaining, resetAt }) => {
+  const resetSeconds = Math.max(0, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000));
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, remaining)),
+    'RateLimit-Reset': String(resetSeconds),
+  });
+  return resetSeconds;
+};
+
+/**
+ * Builds middleware that allows at most `max` requests per `window` for each client, e.g.
+ *   rateLimit({ name: 'login', by: 'ip', max: 20, window: '15m' })
+ * Requests over the limit get a 429 with Retry-After. If the store is unreachable the
+ * request is let through rather than locking everyone out.
+ * @param {object} options - { name, by: 'ip' | 'user' (must run after protect), max, window, message }
+ */
+export const rateLimit = ({ name, by = 'ip', max, window, message }) => {
+  if (by !== 'ip' && by !== 'user') throw new Error(`rateLimit "${name}": by must be "ip" or "user".`);
+  const limit = resolveLimit(name, by, max, window);
+  if (!limit) return (req, res, next) => next();
+  const store = getRateLimitStore();
+
+  return async (req, res, next) => {
+    const subject = by === 'user' ? req.user?.id : req.ip;
+    if (subject === undefined) return next(new Error(`rateLimit "${name}" is keyed by user but the request is not authenticated.`));
+
+    let counter;
+    try {
+      counter = await store.increment(`${name}:${by}:${subject}`, limit.windowMs);
+    } catch (error) {
+      logger.error(`Rate limit "${name}" skipped, store unavailable:`, error.message);
+      return next();
+    }
+
+    const resetSeconds = setRateLimitHeaders(res, { limit: limit.max, remaining: limit.max - counter.count, resetAt: counter.resetAt });
+    if (counter.count > limit.max) {
+      logger.warn(`Rate limit "${name}" exceeded by ${by} ${subject} (${counter.count}/${limit.max}).`);
+      return next(new RateLimitError(message, { retryAfterSeconds: resetSeconds }));
+    }
+    next();
+  };
+};
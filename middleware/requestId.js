@@ -0,0 +1,18 @@
+// middleware/requestId.js
+import { randomUUID } from 'crypto';
+import { runWithRequestContext } from '../utils/logger.js';
+
+// Ids from a trusted proxy or the app are reused so logs can be matched end to end
+const INCOMING_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Gives every request an id (req.id), echoed in the X-Request-Id header and in error responses.
+ * The rest of the request runs inside a log context, so every log line and slow-query
+ * warning it produces carries the id.
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  runWithRequestContext({ requestId: req.id }, next);
+};
@@ -0,0 +1,38 @@
+// middleware/validate.js
+import { validateShape } from '../utils/schema.js';
+import { ValidationError } from '../utils/errors.js';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Validates and coerces request input against declared shapes, e.g.
+ *   validate({ params: { id: integer({ min: 1 }) }, body: { title: string({ max: 255 }) } })
+ * On success req.params / req.query / req.body are replaced with the coerced values.
+ * Fields not declared in a shape are rejected unless allowUnknown lists that location.
+ * All problems are reported together as a ValidationError (400 with per-field errors in details.fields).
+ * @param {object} shapes - { params, query, body }, each { field: rule } from utils/schema.js
+ * @param {object} options - { allowUnknown: ['query'] }
+ */
+export const validate = (shapes, { allowUnknown = [] } = {}) => {
+  return (req, res, next) => {
+    const errors = [];
+    const coerced = {};
+
+    for (const location of LOCATIONS) {
+      if (!shapes[location]) continue;
+      const input = req[location];
+      if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+        errors.push({ location, field: location, message: `Request ${location} must be a JSON object.` });
+        continue;
+      }
+      const result = validateShape(shapes[location], input, { allowUnknown: allowUnknown.includes(location) });
+      result.errors.forEach(error => errors.push({ location, ...error }));
+      coerced[location] = result.value;
+    }
+
+    if (errors.length > 0) return next(new ValidationError(errors));
+
+    Object.entries(coerced).forEach(([location, value]) => { req[location] = value; });
+    next();
+  };
+};
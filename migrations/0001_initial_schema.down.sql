@@ -0,0 +1,6 @@
+-- 0001_initial_schema.down.sql
+DROP TABLE IF EXISTS push_tokens;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS enrollments;
+DROP TABLE IF EXISTS classes;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,2 @@
+-- 0002_class_waitlist.down.sql
+DROP TABLE IF EXISTS class_waitlist;
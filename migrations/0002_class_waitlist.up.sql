@@ -0,0 +1,12 @@
+-- 0002_class_waitlist.up.sql
+-- Ordered waitlist for classes that have reached max_students (see routes/enrollments.js).
+
+CREATE TABLE IF NOT EXISTS class_waitlist (
+    id SERIAL PRIMARY KEY,
+    class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (class_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_class_waitlist_order ON class_waitlist (class_id, created_at, id);
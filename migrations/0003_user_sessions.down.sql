@@ -0,0 +1,3 @@
+-- 0003_user_sessions.down.sql
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS user_sessions;
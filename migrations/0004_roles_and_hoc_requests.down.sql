@@ -0,0 +1,4 @@
+-- 0004_roles_and_hoc_requests.down.sql
+DROP TABLE IF EXISTS role_audit_log;
+DROP TABLE IF EXISTS hoc_requests;
+ALTER TABLE users DROP COLUMN IF EXISTS is_admin;
@@ -0,0 +1,35 @@
+-- 0004_roles_and_hoc_requests.up.sql
+-- Admin role, HOC request/approval flow and an audit trail of every role change.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS hoc_requests (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    department VARCHAR(255) NOT NULL,
+    academic_year VARCHAR(50) NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'revoked')),
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    review_note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    reviewed_at TIMESTAMPTZ
+);
+
+-- A user may only have one open request at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hoc_requests_one_pending
+    ON hoc_requests (user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_hoc_requests_status ON hoc_requests (status, created_at);
+
+CREATE TABLE IF NOT EXISTS role_audit_log (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    hoc_request_id INTEGER REFERENCES hoc_requests(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_audit_log_user_id ON role_audit_log (user_id, created_at DESC);
@@ -0,0 +1,3 @@
+-- 0005_email_verification_and_reset.down.sql
+DROP TABLE IF EXISTS user_tokens;
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
@@ -0,0 +1,5 @@
+-- 0006_class_series.down.sql
+DROP TABLE IF EXISTS series_enrollments;
+DROP INDEX IF EXISTS idx_classes_series_start;
+ALTER TABLE classes DROP COLUMN IF EXISTS series_id;
+DROP TABLE IF EXISTS class_series;
@@ -0,0 +1,34 @@
+-- 0006_class_series.up.sql
+-- Recurring weekly class series. Each occurrence is a regular classes row linked by series_id.
+
+CREATE TABLE IF NOT EXISTS class_series (
+    id SERIAL PRIMARY KEY,
+    hoc_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    class_name VARCHAR(255) NOT NULL,
+    subject VARCHAR(255),
+    weekdays SMALLINT[] NOT NULL,
+    start_time_of_day TIME NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    location VARCHAR(255),
+    max_students INTEGER DEFAULT 30 CHECK (max_students > 0),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    exception_dates DATE[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_class_series_hoc_id ON class_series (hoc_id);
+
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES class_series(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_classes_series_start ON classes (series_id, start_time);
+
+-- Students enrolled in a series are enrolled in each of its occurrences
+CREATE TABLE IF NOT EXISTS series_enrollments (
+    id SERIAL PRIMARY KEY,
+    series_id INTEGER NOT NULL REFERENCES class_series(id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    enrolled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (series_id, student_id)
+);
@@ -0,0 +1,2 @@
+-- 0007_push_outbox.down.sql
+DROP TABLE IF EXISTS push_outbox;
@@ -0,0 +1,17 @@
+-- 0008_push_tokens_per_device.down.sql
+-- Keeps only the most recently updated device per user.
+
+DROP INDEX IF EXISTS idx_push_tokens_session_id;
+DROP INDEX IF EXISTS idx_push_tokens_token;
+DROP INDEX IF EXISTS idx_push_tokens_user_device;
+
+DELETE FROM push_tokens a USING push_tokens b
+    WHERE a.user_id = b.user_id AND (a.updated_at, a.id) < (b.updated_at, b.id);
+
+ALTER TABLE push_tokens DROP COLUMN IF EXISTS session_id;
+ALTER TABLE push_tokens DROP COLUMN IF EXISTS last_seen_at;
+ALTER TABLE push_tokens DROP COLUMN IF EXISTS app_version;
+ALTER TABLE push_tokens DROP COLUMN IF EXISTS platform;
+ALTER TABLE push_tokens DROP COLUMN IF EXISTS device_id;
+
+ALTER TABLE push_tokens ADD CONSTRAINT push_tokens_user_id_key UNIQUE (user_id);
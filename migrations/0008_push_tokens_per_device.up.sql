@@ -0,0 +1,23 @@
+-- 0008_push_tokens_per_device.up.sql
+-- Allow one push token per device instead of one per user.
+
+ALTER TABLE push_tokens DROP CONSTRAINT IF EXISTS push_tokens_user_id_key;
+
+ALTER TABLE push_tokens ADD COLUMN IF NOT EXISTS device_id VARCHAR(255);
+ALTER TABLE push_tokens ADD COLUMN IF NOT EXISTS platform VARCHAR(20);
+ALTER TABLE push_tokens ADD COLUMN IF NOT EXISTS app_version VARCHAR(50);
+ALTER TABLE push_tokens ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+-- The session that registered the device; its tokens are removed when that session logs out
+ALTER TABLE push_tokens ADD COLUMN IF NOT EXISTS session_id INTEGER REFERENCES user_sessions(id) ON DELETE SET NULL;
+
+-- Existing rows predate device ids; the token itself identifies the device
+UPDATE push_tokens SET device_id = token WHERE device_id IS NULL;
+ALTER TABLE push_tokens ALTER COLUMN device_id SET NOT NULL;
+
+-- A token can only belong to one device at a time
+DELETE FROM push_tokens a USING push_tokens b
+    WHERE a.token = b.token AND (a.updated_at, a.id) < (b.updated_at, b.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_push_tokens_user_device ON push_tokens (user_id, device_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_push_tokens_token ON push_tokens (token);
+CREATE INDEX IF NOT EXISTS idx_push_tokens_session_id ON push_tokens (session_id);
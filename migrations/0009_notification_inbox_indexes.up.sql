@@ -0,0 +1,6 @@
+-- 0009_notification_inbox_indexes.up.sql
+-- Supports keyset pagination on (created_at, id) and fast unread counts.
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created_id ON notifications (user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications (user_id) WHERE is_read = FALSE;
+DROP INDEX IF EXISTS idx_notifications_user_created;
@@ -0,0 +1,3 @@
+-- 0010_attendance.down.sql
+DROP TABLE IF EXISTS attendance_records;
+DROP TABLE IF EXISTS attendance_windows;
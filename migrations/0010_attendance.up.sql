@@ -0,0 +1,35 @@
+-- 0010_attendance.up.sql
+-- HOC-opened check-in windows and per-student attendance records.
+
+CREATE TABLE IF NOT EXISTS attendance_windows (
+    id SERIAL PRIMARY KEY,
+    class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    opened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    -- Seed for the rotating check-in code; never sent to students
+    code_secret CHAR(64) NOT NULL,
+    opens_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    late_after TIMESTAMPTZ NOT NULL,
+    closes_at TIMESTAMPTZ NOT NULL,
+    closed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (closes_at > opens_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_windows_class ON attendance_windows (class_id, closes_at DESC);
+
+CREATE TABLE IF NOT EXISTS attendance_records (
+    id SERIAL PRIMARY KEY,
+    class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('present', 'late', 'excused', 'absent')),
+    -- 'check_in' when the student checked in themselves, 'manual' for HOC overrides
+    source VARCHAR(20) NOT NULL DEFAULT 'check_in' CHECK (source IN ('check_in', 'manual')),
+    checked_in_at TIMESTAMPTZ,
+    marked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (class_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_records_student ON attendance_records (student_id);
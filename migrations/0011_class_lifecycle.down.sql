@@ -0,0 +1,3 @@
+-- 0011_class_lifecycle.down.sql
+DROP INDEX IF EXISTS idx_classes_active_start;
+ALTER TABLE classes DROP COLUMN IF EXISTS reminder_sent_at;
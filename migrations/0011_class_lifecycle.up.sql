@@ -0,0 +1,8 @@
+-- 0011_class_lifecycle.up.sql
+-- Supports the class status scheduler (workers/classLifecycleWorker.js).
+
+-- Set once the "starts soon" reminder has been queued; cleared when a class is rescheduled
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_classes_active_start ON classes (start_time)
+    WHERE status IN ('scheduled', 'rescheduled', 'ongoing');
@@ -0,0 +1,3 @@
+-- 0012_calendar_feeds.down.sql
+ALTER TABLE classes DROP COLUMN IF EXISTS calendar_sequence;
+DROP TABLE IF EXISTS calendar_feeds;
@@ -0,0 +1,13 @@
+-- 0012_calendar_feeds.up.sql
+-- Secret per-user iCalendar feed URLs and a revision counter for calendar clients.
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    -- sha256 of the token in the feed URL; the token itself is only shown when it is generated
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_accessed_at TIMESTAMPTZ
+);
+
+-- Bumped whenever a class is cancelled or rescheduled (iCalendar SEQUENCE)
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS calendar_sequence INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,6 @@
+-- 0013_class_conflicts.down.sql
+ALTER TABLE classes DROP CONSTRAINT IF EXISTS classes_no_hoc_overlap;
+ALTER TABLE classes DROP CONSTRAINT IF EXISTS classes_no_room_overlap;
+DROP FUNCTION IF EXISTS normalize_location(TEXT);
+DROP FUNCTION IF EXISTS class_time_range(TIMESTAMPTZ, INTEGER);
+-- btree_gist is left installed; other objects may depend on it
@@ -0,0 +1,33 @@
+-- 0013_class_conflicts.up.sql
+-- Prevents double-booking at the database level: no two live classes may overlap in the same
+-- room, and a HOC may not overlap with themselves. Overlap is on [start_time, start_time + duration).
+-- DEFERRABLE makes the check run at the end of each statement rather than per row, so shifting a
+-- whole series onto its own later slots (reschedule scope 'following') is not rejected mid-update.
+-- If this fails on an existing database, resolve the overlapping classes it reports and re-run.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- timestamptz + interval is only STABLE because day/month arithmetic depends on the session
+-- time zone; adding whole minutes does not, so this wrapper can be IMMUTABLE and used in indexes.
+CREATE OR REPLACE FUNCTION class_time_range(start_time TIMESTAMPTZ, duration_minutes INTEGER)
+RETURNS TSTZRANGE
+LANGUAGE sql IMMUTABLE PARALLEL SAFE
+AS $$ SELECT tstzrange(start_time, start_time + duration_minutes * INTERVAL '1 minute', '[)') $$;
+
+-- Rooms are free text, so "Room 101" and "room 101 " are the same room
+CREATE OR REPLACE FUNCTION normalize_location(location TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE
+AS $$ SELECT lower(btrim(location)) $$;
+
+ALTER TABLE classes DROP CONSTRAINT IF EXISTS classes_no_room_overlap;
+ALTER TABLE classes ADD CONSTRAINT classes_no_room_overlap EXCLUDE USING gist (
+    normalize_location(location) WITH =,
+    class_time_range(start_time, duration_minutes) WITH &&
+) WHERE (status <> 'cancelled' AND location IS NOT NULL) DEFERRABLE INITIALLY IMMEDIATE;
+
+ALTER TABLE classes DROP CONSTRAINT IF EXISTS classes_no_hoc_overlap;
+ALTER TABLE classes ADD CONSTRAINT classes_no_hoc_overlap EXCLUDE USING gist (
+    hoc_id WITH =,
+    class_time_range(start_time, duration_minutes) WITH &&
+) WHERE (status <> 'cancelled') DEFERRABLE INITIALLY IMMEDIATE;
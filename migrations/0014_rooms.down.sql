@@ -0,0 +1,4 @@
+-- 0014_rooms.down.sql
+DROP INDEX IF EXISTS idx_classes_room_id;
+ALTER TABLE classes DROP COLUMN IF EXISTS room_id;
+DROP TABLE IF EXISTS rooms;
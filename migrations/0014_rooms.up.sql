@@ -0,0 +1,26 @@
+-- 0014_rooms.up.sql
+-- Rooms catalog. classes.location stays the source of truth for display and conflict checks
+-- (it is set to the room name when a room is chosen); room_id links to the catalog when known.
+
+CREATE TABLE IF NOT EXISTS rooms (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    building VARCHAR(255),
+    capacity INTEGER CHECK (capacity > 0),
+    -- e.g. {projector, whiteboard, lab, wheelchair_access}
+    features TEXT[] NOT NULL DEFAULT '{}',
+    latitude NUMERIC(9, 6) CHECK (latitude BETWEEN -90 AND 90),
+    longitude NUMERIC(9, 6) CHECK (longitude BETWEEN -180 AND 180),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK ((latitude IS NULL) = (longitude IS NULL))
+);
+
+-- Names must be unique the same way the room-overlap constraint compares locations
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rooms_name_unique ON rooms (normalize_location(name));
+CREATE INDEX IF NOT EXISTS idx_rooms_features ON rooms USING gin (features);
+
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS room_id INTEGER REFERENCES rooms(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_classes_room_id ON classes (room_id);
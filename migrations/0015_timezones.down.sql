@@ -0,0 +1,3 @@
+-- 0015_timezones.down.sql
+ALTER TABLE class_series DROP COLUMN IF EXISTS timezone;
+ALTER TABLE users DROP COLUMN IF EXISTS timezone;
@@ -0,0 +1,6 @@
+-- 0015_timezones.up.sql
+-- Per-user IANA time zone (NULL = institution zone from INSTITUTION_TIMEZONE) and the zone a
+-- series' time of day was entered in.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+ALTER TABLE class_series ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
@@ -0,0 +1,2 @@
+-- 0016_rate_limits.down.sql
+DROP TABLE IF EXISTS rate_limits;
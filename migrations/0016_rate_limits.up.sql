@@ -0,0 +1,11 @@
+-- 0016_rate_limits.up.sql
+-- Counters for the Postgres rate-limit store (RATE_LIMIT_STORE=postgres), shared by every instance.
+-- UNLOGGED: the rows are short-lived and losing them in a crash only resets the limits.
+
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits (reset_at);
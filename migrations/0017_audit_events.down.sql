@@ -0,0 +1,3 @@
+-- 0017_audit_events.down.sql
+DROP TABLE IF EXISTS audit_events;
+DROP FUNCTION IF EXISTS audit_events_append_only();
@@ -0,0 +1,43 @@
+-- 0017_audit_events.up.sql
+-- Append-only trail of HOC actions and account changes, written by utils/audit.js in the same
+-- transaction as the change. actor_id deliberately has no foreign key: history must outlive
+-- (and not be rewritten by) the deletion of the user it mentions.
+
+CREATE TABLE IF NOT EXISTS audit_events (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id INTEGER,                  -- NULL for system and command-line changes
+    action VARCHAR(64) NOT NULL,       -- e.g. 'class.cancelled', see AUDIT_ACTIONS
+    target_type VARCHAR(32) NOT NULL,  -- 'class', 'series', 'user', ...
+    target_id INTEGER,
+    before JSONB,
+    after JSONB,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ip_address VARCHAR(64),
+    request_id VARCHAR(128),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events (actor_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events (target_type, target_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events (action, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events (created_at);
+
+-- Rows can be added but never changed or removed
+CREATE OR REPLACE FUNCTION audit_events_append_only()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only (% is not allowed)', TG_OP;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_events_no_update_delete ON audit_events;
+CREATE TRIGGER audit_events_no_update_delete
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
+
+DROP TRIGGER IF EXISTS audit_events_no_truncate ON audit_events;
+CREATE TRIGGER audit_events_no_truncate
+    BEFORE TRUNCATE ON audit_events
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only();
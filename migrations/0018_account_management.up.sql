@@ -0,0 +1,12 @@
+-- 0018_account_management.up.sql
+-- Profile management (routes/me.js): email changes confirmed from the new address, per-type
+-- push preferences and account deletion. Deleted accounts are anonymized rather than removed so
+-- past classes, attendance and the audit trail keep pointing at a valid (but anonymous) user.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS push_muted_types TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+ALTER TABLE user_tokens DROP CONSTRAINT IF EXISTS user_tokens_purpose_check;
+ALTER TABLE user_tokens ADD CONSTRAINT user_tokens_purpose_check
+    CHECK (purpose IN ('verify_email', 'reset_password', 'change_email'));
@@ -0,0 +1,25 @@
+-- 0019_role_audit_into_audit_events.down.sql
+-- Rebuilds role_audit_log from the role changes in audit_events (which keeps them as well).
+CREATE TABLE IF NOT EXISTS role_audit_log (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    hoc_request_id INTEGER REFERENCES hoc_requests(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_audit_log_user_id ON role_audit_log (user_id, created_at DESC);
+
+INSERT INTO role_audit_log (user_id, actor_id, hoc_request_id, action, details, created_at)
+SELECT u.id, actor.id, h.id, replace(a.action, '.', '_'),
+       (a.metadata - 'hocRequestId') || jsonb_strip_nulls(jsonb_build_object('previousStatus', a.before->'requestStatus')),
+       a.created_at
+FROM audit_events a
+JOIN users u ON u.id = a.target_id
+LEFT JOIN users actor ON actor.id = a.actor_id
+LEFT JOIN hoc_requests h ON h.id = (a.metadata->>'hocRequestId')::int
+WHERE a.target_type = 'user'
+  AND a.action IN ('hoc.requested', 'hoc.approved', 'hoc.rejected', 'hoc.revoked', 'admin.granted', 'admin.revoked')
+ORDER BY a.created_at, a.id;
@@ -0,0 +1,27 @@
+-- 0019_role_audit_into_audit_events.up.sql
+-- Role changes are recorded once, in audit_events. Entries from before audit_events existed are
+-- copied over (changes since 0017 were already written to both and are skipped: the two rows share
+-- the transaction's NOW()), then role_audit_log is dropped. Copied rows get new ids, so order them
+-- by created_at rather than id.
+
+INSERT INTO audit_events (actor_id, action, target_type, target_id, before, after, metadata, created_at)
+SELECT r.actor_id,
+       m.action,
+       'user',
+       r.user_id,
+       CASE WHEN r.details ? 'previousStatus'
+            THEN jsonb_build_object('requestStatus', r.details->>'previousStatus') END,
+       CASE WHEN r.action LIKE 'admin\_%' THEN jsonb_build_object('isAdmin', r.action = 'admin_granted')
+            WHEN r.action = 'hoc_requested' THEN jsonb_build_object('requestStatus', 'pending')
+            ELSE jsonb_build_object('requestStatus', substring(r.action FROM 5)) END,
+       jsonb_strip_nulls((r.details - 'previousStatus') || jsonb_build_object('hocRequestId', r.hoc_request_id)),
+       r.created_at
+FROM role_audit_log r
+CROSS JOIN LATERAL (SELECT regexp_replace(r.action, '_', '.') AS action) m
+WHERE NOT EXISTS (
+    SELECT 1 FROM audit_events a
+    WHERE a.action = m.action AND a.target_type = 'user' AND a.target_id = r.user_id AND a.created_at = r.created_at
+)
+ORDER BY r.created_at, r.id;
+
+DROP TABLE IF EXISTS role_audit_log;
@@ -1,141 +1,515 @@
 // routes/HOC.js
 import express from 'express';
-import { pool } from '../db.js';
+import { pool, transaction } from '../db.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import { sendSuccess, sendError } from '../utils/responceHandler.js';
-// import { sendNotificationToClass } from '../utils/pushNotifications.js'; // Example for later
+import { combineDateAndTime, parseClassTimeInput, generateWeeklyOccurrences, rescheduleOccurrences, formatClassTime, MAX_SERIES_OCCURRENCES } from '../utils/schedule.js';
+import { INSTITUTION_TIMEZONE, resolveTimeZone, toZonedIsoString } from '../utils/timezone.js';
+import { sendNotificationToClasses } from '../utils/pushNotifications.js';
+import { publishEvent, classChannel, EVENTS } from '../utils/realtime.js';
+import { ATTENDANCE_STATUSES, generateCodeSecret, getCurrentCheckInCode, buildCheckInQrPayload, summarizeAttendance } from '../utils/attendance.js';
+import { lockClassForEnrollment } from '../utils/enrollment.js';
+import { parseRosterCsv, planRosterImport, applyRosterImport, MAX_ROSTER_ROWS } from '../utils/roster.js';
+import { toCsv, sendCsv } from '../utils/csv.js';
+import { resolveRoom, capacityWarnings } from '../utils/rooms.js';
+import { NotFoundError, ForbiddenError, BadRequestError, ERROR_CODES } from '../utils/errors.js';
+import { isScheduleConflictError, findClassConflicts, sendScheduleConflict, computeFreeSlots } from '../utils/conflicts.js';
+import { validate } from '../middleware/validate.js';
+import { recordAuditEvents, getAuditContext, AUDIT_ACTIONS } from '../utils/audit.js';
+import { string, oneOf, integer, boolean, date, time, dateTime, array } from '../utils/schema.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// 'single' changes one class; 'following' changes that occurrence and every later one in its series
+const CHANGE_SCOPES = ['single', 'following'];
+
+const classIdParams = { classId: integer({ min: 1 }) };
+
+// Class fields shared by one-off classes and series. A room is given either as free text or as a catalog id.
+const CLASS_DETAILS = {
+    className: string({ max: 255 }),
+    subject: string({ optional: true, nullable: true, max: 255 }),
+    time: time(),
+    duration: integer({ default: 60, min: 1 }),
+    room: string({ optional: true, max: 255 }),
+    roomId: integer({ optional: true, min: 1 }),
+    maxStudents: integer({ default: 30, min: 1 }),
+};
+
+// The fields of a class kept in audit snapshots
+const classSnapshot = (row) => ({
+    className: row.class_name, subject: row.subject, startTime: row.start_time, durationMinutes: row.duration_minutes,
+    location: row.location, roomId: row.room_id, maxStudents: row.max_students, status: row.status, seriesId: row.series_id,
+});
+
+// Tells enrolled students about a cancellation or reschedule. A failure here must not undo the change itself.
+async function notifyClassChange(classIds, notification) {
+    try {
+        const { studentCount } = await sendNotificationToClasses(classIds, { source: 'hoc', ...notification });
+        return studentCount;
+    } catch (error) {
+        logger.error(`Failed to notify students about ${notification.type} for class ${notification.relatedClassId}:`, error.message);
+        return 0;
+    }
+}
+
 // GET /api/hoc/test
 router.get('/test', (req, res) => {
-    // This route is only hit if user is authenticated AND hocOnly middleware passed
+    // This route is only hit if user is authenticated AND holds the 'hoc' role
     sendSuccess(res, { message: 'HOC access verified successfully', isHOC: req.user.isHoc });
 });
 
 // GET /api/hoc/my-classes
 router.get('/my-classes', asyncHandler(async (req, res) => {
     const hocUserId = req.user.id;
-    console.log(`Fetching classes for HOC user ${hocUserId}`);
+    logger.debug(`Fetching classes for HOC user ${hocUserId}`);
     const query = `
         SELECT
             c.id, c.class_name, c.subject, c.start_time, c.duration_minutes,
-            c.location, c.max_students, c.status,
-            COALESCE(e.enrolled_count, 0) as "enrolled_students"
+            c.location, c.room_id, r.building as room_building, r.capacity as room_capacity, c.max_students, c.status,
+            COALESCE(e.enrolled_count, 0) as "enrolled_students",
+            COALESCE(w.waitlist, '[]'::json) as waitlist
         FROM classes c
+        LEFT JOIN rooms r ON r.id = c.room_id
         LEFT JOIN (
             SELECT class_id, COUNT(*) as enrolled_count
             FROM enrollments
             GROUP BY class_id
         ) e ON c.id = e.class_id
+        LEFT JOIN (
+            SELECT wl.class_id,
+                   json_agg(json_build_object(
+                       'id', u.id, 'name', u.full_name, 'email', u.email, 'position', wl.position
+                   ) ORDER BY wl.position) as waitlist
+            FROM (
+                SELECT class_id, student_id,
+                       ROW_NUMBER() OVER (PARTITION BY class_id ORDER BY created_at ASC, id ASC) as position
+                FROM class_waitlist
+            ) wl
+            JOIN users u ON u.id = wl.student_id
+            GROUP BY wl.class_id
+        ) w ON c.id = w.class_id
         WHERE c.hoc_id = $1
         ORDER BY c.start_time DESC, c.class_name ASC`;
     const result = await pool.query(query, [hocUserId]);
     
+    const timeZone = resolveTimeZone(req.user);
     const classes = result.rows.map(cls => ({
         ...cls,
+        start_time_local: toZonedIsoString(cls.start_time, timeZone),
         room: cls.location, // Rename for frontend
         max_students: cls.max_students || 30,
+        waitlisted_students: cls.waitlist.length,
     }));
     sendSuccess(res, classes);
 }));
 
 // POST /api/hoc/create-class
-router.post('/create-class', asyncHandler(async (req, res) => {
+router.post('/create-class', validate({ body: { ...CLASS_DETAILS, date: date() } }), asyncHandler(async (req, res) => {
     const hocUserId = req.user.id;
-    const { className, subject = null, date, time, duration = '60', room, maxStudents = '30' } = req.body;
+    const {
+        className, subject = null, date, time, duration: durationMinutes, room, roomId, maxStudents: maxStudentsNum
+    } = req.body;
+    if (!room && !roomId) return sendError(res, 'Room or Room ID is required.', 400);
 
-    if (!className || !date || !time || !room) {
-        return sendError(res, 'Class Name, Date, Time, and Room are required.', 400);
-    }
-    const durationMinutes = parseInt(duration, 10);
-    const maxStudentsNum = parseInt(maxStudents, 10);
-    if (isNaN(durationMinutes) || durationMinutes <= 0) return sendError(res, 'Duration must be > 0.', 400);
-    if (isNaN(maxStudentsNum) || maxStudentsNum <= 0) return sendError(res, 'Max Students must be > 0.', 400);
+    // Date and time are wall-clock time in the HOC's zone
+    const timeZone = resolveTimeZone(req.user);
+    const startTime = combineDateAndTime(date, time, timeZone);
 
-    let startTime;
+    const resolvedRoom = await resolveRoom(pool, { roomId, room });
+    if (resolvedRoom.error) return sendError(res, resolvedRoom.error, resolvedRoom.statusCode);
+
+    const query = `INSERT INTO classes (hoc_id, class_name, subject, start_time, duration_minutes, location, room_id, max_students, status, created_at, updated_at)
+                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'scheduled', NOW(), NOW()) RETURNING *`;
+    const values = [hocUserId, className, subject, startTime, durationMinutes, resolvedRoom.location, resolvedRoom.roomId, maxStudentsNum];
+    let created;
     try {
-        const dateTimeString = `${date}T${time}:00`;
-        startTime = new Date(dateTimeString);
-        if (isNaN(startTime.getTime())) throw new Error('Invalid date/time');
-    } catch (e) { return sendError(res, 'Invalid date/time format. Use YYYY-MM-DD and HH:MM.', 400); }
-
-    const query = `INSERT INTO classes (hoc_id, class_name, subject, start_time, duration_minutes, location, max_students, status, created_at, updated_at)
-                   VALUES ($1, $2, $3, $4, $5, $6, $7, 'scheduled', NOW(), NOW()) RETURNING *`;
-    const values = [hocUserId, className, subject, startTime, durationMinutes, room, maxStudentsNum];
-    const result = await pool.query(query, values);
+        created = await transaction(async (client) => {
+            const { rows } = await client.query(query, values);
+            await recordAuditEvents(client, getAuditContext(req), {
+                action: AUDIT_ACTIONS.CLASS_CREATED, targetType: 'class', targetId: rows[0].id, after: classSnapshot(rows[0]),
+            });
+            return rows[0];
+        });
+    } catch (error) {
+        if (!isScheduleConflictError(error)) throw error;
+        const conflicts = await findClassConflicts(pool, [{ startTime, durationMinutes, location: resolvedRoom.location }], { hocId: hocUserId });
+        return sendScheduleConflict(res, conflicts);
+    }
     
-    console.log(`Class ${result.rows[0].id} created by HOC ${hocUserId}.`);
-    sendSuccess(res, result.rows[0], 201);
+    logger.info(`Class ${created.id} created by HOC ${hocUserId}.`);
+    sendSuccess(res, {
+        ...created,
+        start_time_local: toZonedIsoString(created.start_time, timeZone),
+        timezone: timeZone,
+        warnings: capacityWarnings(resolvedRoom, maxStudentsNum),
+    }, 201);
 }));
 
-// POST /api/hoc/cancel-class
-router.post('/cancel-class', asyncHandler(async (req, res) => {
+// --- Recurring Series ---
+
+// POST /api/hoc/create-series
+router.post('/create-series', validate({
+    body: {
+        ...CLASS_DETAILS,
+        // 0 (Sunday) to 6 (Saturday)
+        weekdays: array(integer({ min: 0, max: 6 }), { min: 1, max: 7 }),
+        startDate: date(),
+        endDate: date(),
+        exceptionDates: array(date(), { default: [], max: 366 }),
+    },
+}), asyncHandler(async (req, res) => {
     const hocUserId = req.user.id;
-    const { classId, reason } = req.body;
-    const classIdInt = parseInt(classId, 10);
+    const {
+        className, subject = null, weekdays, time, duration: durationMinutes, room, roomId, maxStudents: maxStudentsNum,
+        startDate, endDate, exceptionDates
+    } = req.body;
+
+    if (!room && !roomId) return sendError(res, 'Room or Room ID is required.', 400);
+    if (endDate < startDate) return sendError(res, 'End Date must be on or after Start Date.', 400);
+    const weekdayNums = [...new Set(weekdays)];
 
-    if (!classIdInt || !reason || reason.trim() === '') {
-        return sendError(res, 'Class ID and Reason are required.', 400);
+    const timeZone = resolveTimeZone(req.user);
+    const occurrences = generateWeeklyOccurrences({ weekdays: weekdayNums, time, startDate, endDate, exceptionDates, timeZone });
+    if (occurrences.length === 0) return sendError(res, 'The series does not produce any classes in that date range.', 400);
+    if (occurrences.length > MAX_SERIES_OCCURRENCES) {
+        return sendError(res, `A series may produce at most ${MAX_SERIES_OCCURRENCES} classes.`, 400);
     }
 
-    const update = `UPDATE classes SET status = 'cancelled'
-                    WHERE id = $1 AND hoc_id = $2 AND status NOT IN ('cancelled', 'completed')
-                    RETURNING id, class_name`;
-    const result = await pool.query(update, [classIdInt, hocUserId]);
+    const resolvedRoom = await resolveRoom(pool, { roomId, room });
+    if (resolvedRoom.error) return sendError(res, resolvedRoom.error, resolvedRoom.statusCode);
+
+    let series;
+    try {
+        series = await transaction(async (client) => {
+            const { rows } = await client.query(`
+                INSERT INTO class_series (hoc_id, class_name, subject, weekdays, start_time_of_day, duration_minutes,
+                                          location, max_students, start_date, end_date, exception_dates, timezone, created_at, updated_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW())
+                RETURNING *`,
+                [hocUserId, className, subject, weekdayNums, time, durationMinutes, resolvedRoom.location, maxStudentsNum, startDate, endDate, exceptionDates, timeZone]);
+
+            const classes = await client.query(`
+                INSERT INTO classes (hoc_id, class_name, subject, start_time, duration_minutes, location, room_id, max_students,
+                                     status, series_id, created_at, updated_at)
+                SELECT $1, $2, $3, occurrence, $4, $5, $9, $6, 'scheduled', $7, NOW(), NOW()
+                FROM unnest($8::timestamptz[]) AS occurrence
+                RETURNING id, start_time`,
+                [hocUserId, className, subject, durationMinutes, resolvedRoom.location, maxStudentsNum, rows[0].id, occurrences, resolvedRoom.roomId]);
+
+            await recordAuditEvents(client, getAuditContext(req), {
+                action: AUDIT_ACTIONS.SERIES_CREATED, targetType: 'series', targetId: rows[0].id,
+                after: {
+                    className, subject, weekdays: weekdayNums, time, timezone: timeZone, startDate, endDate, exceptionDates,
+                    durationMinutes, location: resolvedRoom.location, roomId: resolvedRoom.roomId, maxStudents: maxStudentsNum,
+                },
+                metadata: { classIds: classes.rows.map(c => c.id) },
+            });
+            return { ...rows[0], occurrences: classes.rows };
+        });
+    } catch (error) {
+        if (!isScheduleConflictError(error)) throw error;
+        const proposals = occurrences.map(occurrence => ({ startTime: occurrence, durationMinutes, location: resolvedRoom.location }));
+        return sendScheduleConflict(res, await findClassConflicts(pool, proposals, { hocId: hocUserId }));
+    }
+
+    logger.info(`Series ${series.id} created by HOC ${hocUserId} with ${series.occurrences.length} classes.`);
+    sendSuccess(res, { ...series, warnings: capacityWarnings(resolvedRoom, maxStudentsNum) }, 201);
+}));
+
+// GET /api/hoc/series
+router.get('/series', asyncHandler(async (req, res) => {
+    const query = `
+        SELECT s.*,
+               COUNT(c.id)::int as "totalOccurrences",
+               COUNT(c.id) FILTER (WHERE c.status = 'cancelled')::int as "cancelledOccurrences",
+               (SELECT COUNT(*)::int FROM series_enrollments se WHERE se.series_id = s.id) as "enrolledStudents"
+        FROM class_series s
+        LEFT JOIN classes c ON c.series_id = s.id
+        WHERE s.hoc_id = $1
+        GROUP BY s.id
+        ORDER BY s.start_date DESC`;
+    const result = await pool.query(query, [req.user.id]);
+    sendSuccess(res, result.rows);
+}));
+
+// GET /api/hoc/series/:id
+router.get('/series/:id', validate({ params: { id: integer({ min: 1 }) } }), asyncHandler(async (req, res) => {
+    const seriesIdInt = req.params.id;
+
+    const seriesResult = await pool.query('SELECT * FROM class_series WHERE id = $1 AND hoc_id = $2', [seriesIdInt, req.user.id]);
+    if (seriesResult.rowCount === 0) return sendError(res, 'Series not found.', 404);
+
+    const occurrences = await pool.query(`
+        SELECT id, class_name, start_time, duration_minutes, location, status
+        FROM classes WHERE series_id = $1
+        ORDER BY start_time ASC`, [seriesIdInt]);
+
+    sendSuccess(res, { ...seriesResult.rows[0], occurrences: occurrences.rows });
+}));
+
+// POST /api/hoc/cancel-class
+router.post('/cancel-class', validate({
+    body: {
+        classId: integer({ min: 1 }),
+        reason: string({ max: 1000 }),
+        scope: oneOf(CHANGE_SCOPES, { default: 'single' }),
+    },
+}), asyncHandler(async (req, res) => {
+    const hocUserId = req.user.id;
+    const { classId: classIdInt, reason, scope } = req.body;
+
+    // "old" is each row's pre-update snapshot, for the audit trail
+    const update = scope === 'following'
+        ? `UPDATE classes c SET status = 'cancelled', calendar_sequence = c.calendar_sequence + 1, updated_at = NOW()
+           FROM classes target, classes old
+           WHERE target.id = $1 AND target.series_id IS NOT NULL AND old.id = c.id
+             AND c.series_id = target.series_id AND c.start_time >= target.start_time
+             AND c.hoc_id = $2 AND c.status NOT IN ('cancelled', 'completed')
+           RETURNING c.id, c.class_name, c.start_time, c.location, old.status as old_status`
+        : `UPDATE classes c SET status = 'cancelled', calendar_sequence = c.calendar_sequence + 1, updated_at = NOW()
+           FROM classes old
+           WHERE c.id = $1 AND old.id = c.id AND c.hoc_id = $2 AND c.status NOT IN ('cancelled', 'completed')
+           RETURNING c.id, c.class_name, c.start_time, c.location, old.status as old_status`;
+    const result = await transaction(async (client) => {
+        const updated = await client.query(update, [classIdInt, hocUserId]);
+        await recordAuditEvents(client, getAuditContext(req), updated.rows.map(row => ({
+            action: AUDIT_ACTIONS.CLASS_CANCELLED, targetType: 'class', targetId: row.id,
+            before: { status: row.old_status }, after: { status: 'cancelled' },
+            metadata: { reason, scope, selectedClassId: classIdInt },
+        })));
+        return updated;
+    });
 
     if (result.rowCount === 0) {
-        const check = await pool.query('SELECT id, status FROM classes WHERE id = $1', [classIdInt]);
+        const check = await pool.query('SELECT id, status, hoc_id, series_id FROM classes WHERE id = $1', [classIdInt]);
         if (check.rowCount === 0) return sendError(res, 'Class not found.', 404);
-        if (check.rows[0].status === 'cancelled' || check.rows[0].status === 'completed') return sendError(res, 'Class already completed or cancelled.', 400);
-        return sendError(res, 'You are not authorized to cancel this class.', 403);
+        if (check.rows[0].hoc_id !== hocUserId) return sendError(res, 'You are not authorized to cancel this class.', 403);
+        if (scope === 'following' && !check.rows[0].series_id) return sendError(res, 'Class is not part of a series.', 400);
+        return sendError(res, 'Class already completed or cancelled.', 400, ERROR_CODES.CLASS_INACTIVE);
     }
     
-    // Optional: await sendNotificationToClass(classIdInt, `Class Cancelled: ${result.rows[0].class_name}`, `Reason: ${reason}`, { type: 'cancel', classId: classIdInt });
-    console.log(`Class ${classIdInt} cancelled by HOC ${hocUserId}.`);
-    sendSuccess(res, { message: 'Class cancelled successfully' });
+    const cancelledIds = result.rows.map(r => r.id);
+    logger.info(`Class ${classIdInt} cancelled by HOC ${hocUserId} (scope: ${scope}, ${cancelledIds.length} occurrence(s)).`);
+
+    for (const row of result.rows) {
+        await publishEvent({
+            channels: [classChannel(row.id)],
+            type: EVENTS.CLASS_CANCELLED,
+            data: { classId: row.id, className: row.class_name, reason, scope, startTime: row.start_time, room: row.location },
+        });
+    }
+
+    const cancelled = result.rows.find(r => r.id === classIdInt) || result.rows[0];
+    const when = formatClassTime(cancelled.start_time);
+    const notified = await notifyClassChange(cancelledIds, {
+        title: `Class Cancelled: ${cancelled.class_name}`,
+        message: scope === 'following'
+            ? `${cancelled.class_name} is cancelled from ${when} onwards (${cancelledIds.length} classes). Reason: ${reason}`
+            : `${cancelled.class_name} on ${when} in ${cancelled.location} is cancelled. Reason: ${reason}`,
+        type: 'class_cancelled',
+        relatedClassId: cancelled.id,
+        data: { reason, scope, oldTime: cancelled.start_time, oldRoom: cancelled.location },
+    });
+
+    sendSuccess(res, { message: 'Class cancelled successfully', cancelledClassIds: cancelledIds, notifiedStudents: notified });
 }));
 
+// The selected occurrence and every later active one in its series, with the new start time of each.
+// Times are recomputed in the series' zone (see rescheduleOccurrences). Returns [] if nothing applies.
+async function planFollowingReschedule(db, classIdInt, hocUserId, startTime, { lock = false } = {}) {
+    const { rows: [target] } = await db.query(`
+        SELECT c.start_time, c.series_id, s.timezone
+        FROM classes c JOIN class_series s ON s.id = c.series_id
+        WHERE c.id = $1 AND c.hoc_id = $2 AND c.status NOT IN ('cancelled', 'completed')${lock ? ' FOR UPDATE OF c' : ''}`,
+        [classIdInt, hocUserId]);
+    if (!target) return [];
+
+    const { rows } = await db.query(`
+        SELECT id, start_time, duration_minutes FROM classes
+        WHERE series_id = $1 AND start_time >= $2 AND hoc_id = $3 AND status NOT IN ('cancelled', 'completed')
+        ORDER BY id${lock ? ' FOR UPDATE' : ''}`, [target.series_id, target.start_time, hocUserId]);
+    const newTimes = rescheduleOccurrences(rows.map(row => row.start_time), target.start_time, startTime,
+        target.timezone || INSTITUTION_TIMEZONE);
+    return rows.map((row, i) => ({ id: row.id, startTime: newTimes[i], durationMinutes: row.duration_minutes }));
+}
+
+// Recomputes the times a rejected reschedule would have produced and lists what they collide with
+async function findRescheduleConflicts(scope, startTime, newRoom, classIdInt, hocUserId) {
+    const moved = scope === 'following'
+        ? await planFollowingReschedule(pool, classIdInt, hocUserId, startTime)
+        : (await pool.query('SELECT id, duration_minutes FROM classes WHERE id = $1', [classIdInt]))
+            .rows.map(row => ({ id: row.id, startTime, durationMinutes: row.duration_minutes }));
+
+    const proposals = moved.map(row => ({ startTime: row.startTime, durationMinutes: row.durationMinutes, location: newRoom }));
+    return findClassConflicts(pool, proposals, { hocId: hocUserId, excludeClassIds: moved.map(row => row.id) });
+}
+
 // POST /api/hoc/reschedule-class
-router.post('/reschedule-class', asyncHandler(async (req, res) => {
+router.post('/reschedule-class', validate({
+    body: {
+        classId: integer({ min: 1 }),
+        newTime: dateTime(),
+        newRoom: string({ optional: true, max: 255 }),
+        newRoomId: integer({ optional: true, min: 1 }),
+        reason: string({ optional: true, nullable: true, max: 1000 }),
+        scope: oneOf(CHANGE_SCOPES, { default: 'single' }),
+    },
+}), asyncHandler(async (req, res) => {
     const hocUserId = req.user.id;
-    const { classId, newTime, newRoom, reason = null } = req.body;
-    const classIdInt = parseInt(classId, 10);
+    const { classId: classIdInt, newTime, newRoom, newRoomId, reason = null, scope } = req.body;
+    if (!newRoom && !newRoomId) return sendError(res, 'New Room or New Room ID is required.', 400);
 
-    if (!classIdInt || !newTime || !newRoom) {
-        return sendError(res, 'Class ID, New Time (YYYY-MM-DD HH:MM), and New Room are required.', 400);
-    }
+    // "YYYY-MM-DD HH:MM" is read in the HOC's zone; ISO timestamps with an offset are also accepted
+    const startTime = parseClassTimeInput(newTime, resolveTimeZone(req.user));
+    if (!startTime) return sendError(res, 'Invalid new time format. Use "YYYY-MM-DD HH:MM".', 400);
 
-    let startTime;
-    try {
-        startTime = new Date(newTime);
-        if (isNaN(startTime.getTime())) throw new Error('Invalid date/time');
-    } catch (e) { return sendError(res, 'Invalid new time format. Use "YYYY-MM-DD HH:MM".', 400); }
+    const resolvedRoom = await resolveRoom(pool, { roomId: newRoomId, room: newRoom });
+    if (resolvedRoom.error) return sendError(res, resolvedRoom.error, resolvedRoom.statusCode);
 
-    const update = `UPDATE classes SET start_time = $1, location = $2, status = 'rescheduled'
-                    WHERE id = $3 AND hoc_id = $4 AND status NOT IN ('cancelled', 'completed')
-                    RETURNING id, class_name`;
-    const result = await pool.query(update, [startTime, newRoom, classIdInt, hocUserId]);
+    // For 'following', every later occurrence moves to the new time of day, shifted by as many days as
+    // the selected one. Joining each row to its own pre-update snapshot ("old") lets us return the
+    // previous time and room.
+    const returning = `RETURNING c.id, c.class_name, c.start_time, c.location, c.room_id, c.max_students,
+                     old.start_time as old_start_time, old.location as old_location, old.room_id as old_room_id, old.status as old_status`;
+    let result;
+    try {
+        result = await transaction(async (client) => {
+            let updated;
+            if (scope === 'following') {
+                const moves = await planFollowingReschedule(client, classIdInt, hocUserId, startTime, { lock: true });
+                updated = await client.query(`
+                    UPDATE classes c SET start_time = m.start_time, location = $3, room_id = $4, status = 'rescheduled', reminder_sent_at = NULL,
+                           calendar_sequence = c.calendar_sequence + 1, updated_at = NOW()
+                    FROM unnest($1::int[], $2::timestamptz[]) AS m(id, start_time), classes old
+                    WHERE c.id = m.id AND old.id = c.id
+                    ${returning}`,
+                    [moves.map(move => move.id), moves.map(move => move.startTime), resolvedRoom.location, resolvedRoom.roomId]);
+            } else {
+                updated = await client.query(`
+                    UPDATE classes c SET start_time = $1, location = $2, room_id = $5, status = 'rescheduled', reminder_sent_at = NULL,
+                           calendar_sequence = c.calendar_sequence + 1, updated_at = NOW()
+                    FROM classes old
+                    WHERE c.id = $3 AND old.id = c.id AND c.hoc_id = $4 AND c.status NOT IN ('cancelled', 'completed')
+                    ${returning}`,
+                    [startTime, resolvedRoom.location, classIdInt, hocUserId, resolvedRoom.roomId]);
+            }
+            await recordAuditEvents(client, getAuditContext(req), updated.rows.map(row => ({
+                action: AUDIT_ACTIONS.CLASS_RESCHEDULED, targetType: 'class', targetId: row.id,
+                before: { startTime: row.old_start_time, location: row.old_location, roomId: row.old_room_id, status: row.old_status },
+                after: { startTime: row.start_time, location: row.location, roomId: row.room_id, status: 'rescheduled' },
+                metadata: { reason, scope, selectedClassId: classIdInt },
+            })));
+            return updated;
+        });
+    } catch (error) {
+        if (!isScheduleConflictError(error)) throw error;
+        return sendScheduleConflict(res, await findRescheduleConflicts(scope, startTime, resolvedRoom.location, classIdInt, hocUserId));
+    }
 
     if (result.rowCount === 0) {
-        const check = await pool.query('SELECT id, status FROM classes WHERE id = $1', [classIdInt]);
+        const check = await pool.query('SELECT id, status, hoc_id, series_id FROM classes WHERE id = $1', [classIdInt]);
         if (check.rowCount === 0) return sendError(res, 'Class not found.', 404);
-        if (check.rows[0].status === 'cancelled' || check.rows[0].status === 'completed') return sendError(res, 'Cannot reschedule completed or cancelled class.', 400);
-        return sendError(res, 'You are not authorized to reschedule this class.', 403);
+        if (check.rows[0].hoc_id !== hocUserId) return sendError(res, 'You are not authorized to reschedule this class.', 403);
+        if (scope === 'following' && !check.rows[0].series_id) return sendError(res, 'Class is not part of a series.', 400);
+        return sendError(res, 'Cannot reschedule completed or cancelled class.', 400, ERROR_CODES.CLASS_INACTIVE);
     }
     
-    // Optional: Send notifications
-    // const formattedTime = startTime.toLocaleString('en-US', { dateStyle: 'short', timeStyle: 'short'});
-    // await sendNotificationToClass(classIdInt, `Class Rescheduled: ${result.rows[0].class_name}`, `Now at ${formattedTime} in ${newRoom}. ${reason ? `Reason: ${reason}` : ''}`, { type: 'reschedule', classId: classIdInt });
-    
-    console.log(`Class ${classIdInt} rescheduled by HOC ${hocUserId}.`);
-    sendSuccess(res, { message: 'Class rescheduled successfully' });
+    const rescheduledIds = result.rows.map(r => r.id);
+    logger.info(`Class ${classIdInt} rescheduled by HOC ${hocUserId} (scope: ${scope}, ${rescheduledIds.length} occurrence(s)).`);
+
+    for (const row of result.rows) {
+        await publishEvent({
+            channels: [classChannel(row.id)],
+            type: EVENTS.CLASS_RESCHEDULED,
+            data: {
+                classId: row.id, className: row.class_name, reason, scope,
+                oldTime: row.old_start_time, newTime: row.start_time, oldRoom: row.old_location, newRoom: row.location,
+            },
+        });
+    }
+
+    const changed = result.rows.find(r => r.id === classIdInt) || result.rows[0];
+    const oldWhen = formatClassTime(changed.old_start_time);
+    const newWhen = formatClassTime(changed.start_time);
+    const notified = await notifyClassChange(rescheduledIds, {
+        title: `Class Rescheduled: ${changed.class_name}`,
+        message: `Moved from ${oldWhen} in ${changed.old_location} to ${newWhen} in ${changed.location}.` +
+            (scope === 'following' ? ` Applies to this and ${rescheduledIds.length - 1} following class(es).` : '') +
+            (reason ? ` Reason: ${reason}` : ''),
+        type: 'class_rescheduled',
+        relatedClassId: changed.id,
+        data: {
+            reason, scope,
+            oldTime: changed.old_start_time, newTime: changed.start_time,
+            oldRoom: changed.old_location, newRoom: changed.location,
+        },
+    });
+
+    const largestClass = Math.max(...result.rows.map(r => r.max_students || 0));
+    sendSuccess(res, {
+        message: 'Class rescheduled successfully',
+        rescheduledClassIds: rescheduledIds,
+        notifiedStudents: notified,
+        warnings: capacityWarnings(resolvedRoom, largestClass),
+    });
+}));
+
+// GET /api/hoc/free-slots?room=|roomId=&date=YYYY-MM-DD&duration=60&from=08:00&to=18:00
+// Gaps in the room's day that are long enough for the class and don't clash with the HOC's own classes
+router.get('/free-slots', validate({
+    query: {
+        room: string({ optional: true, max: 255 }),
+        roomId: integer({ optional: true, min: 1 }),
+        date: date(),
+        duration: integer({ default: 60, min: 1 }),
+        from: time({ default: '08:00' }),
+        to: time({ default: '18:00' }),
+    },
+}), asyncHandler(async (req, res) => {
+    const hocUserId = req.user.id;
+    const { roomId, date, duration: durationMinutes, from, to } = req.query;
+    if (!req.query.room && !roomId) return sendError(res, 'Room or Room ID is required.', 400);
+
+    const timeZone = resolveTimeZone(req.user);
+    const dayStart = combineDateAndTime(date, from, timeZone);
+    const dayEnd = combineDateAndTime(date, to, timeZone);
+    if (!dayStart || !dayEnd || dayEnd <= dayStart) return sendError(res, 'The "to" time must be after the "from" time.', 400);
+
+    const resolvedRoom = await resolveRoom(pool, { roomId, room: req.query.room });
+    if (resolvedRoom.error) return sendError(res, resolvedRoom.error, resolvedRoom.statusCode);
+    const room = resolvedRoom.location;
+
+    const { rows: busy } = await pool.query(`
+        SELECT id as "classId", class_name as "className", start_time as "start",
+               start_time + duration_minutes * INTERVAL '1 minute' as "end", location,
+               normalize_location(location) = normalize_location($1) as "roomBooked"
+        FROM classes
+        WHERE status <> 'cancelled'
+          AND (normalize_location(location) = normalize_location($1) OR hoc_id = $2)
+          AND class_time_range(start_time, duration_minutes) && tstzrange($3, $4, '[)')
+        ORDER BY start_time ASC`, [room, hocUserId, dayStart, dayEnd]);
+
+    sendSuccess(res, {
+        room,
+        roomId: resolvedRoom.roomId,
+        date,
+        timezone: timeZone,
+        durationMinutes,
+        freeSlots: computeFreeSlots(busy, dayStart, dayEnd, durationMinutes).map(slot => ({
+            ...slot,
+            startLocal: toZonedIsoString(slot.start, timeZone),
+            endLocal: toZonedIsoString(slot.end, timeZone),
+        })),
+        busy,
+    });
 }));
 
 // GET /api/hoc/students
 router.get('/students', asyncHandler(async (req, res) => {
     const hocUserId = req.user.id;
-    console.log(`Fetching students for HOC user ${hocUserId}`);
+    logger.debug(`Fetching students for HOC user ${hocUserId}`);
     
     const query = `
         SELECT DISTINCT ON (u.id) u.id, u.full_name as name, u.email, u.department, u.academic_year
@@ -149,17 +523,305 @@ router.get('/students', asyncHandler(async (req, res) => {
     sendSuccess(res, result.rows);
 }));
 
-// POST /api/hoc/force-enable-hoc
-router.post('/force-enable-hoc', asyncHandler(async (req, res) => {
-    const userIdToUpdate = req.user.id;
-    console.warn(`WARNING: User ${userIdToUpdate} is forcing HOC status via API.`);
-    
-    const result = await pool.query('UPDATE users SET is_hoc = TRUE, updated_at = NOW() WHERE id = $1 RETURNING id', [userIdToUpdate]);
-    
-    if (result.rowCount === 0) {
-        return sendError(res, 'User not found', 404);
+// --- Roster Import / Export ---
+
+// Roster files may be posted as raw text/csv instead of JSON { csv }
+const readCsvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+// POST /api/hoc/roster/:classId/import?dryRun=false
+// Previews by default; pass dryRun=false to enroll the matched students
+// The body is either raw CSV text or JSON, so only params and query are declared
+router.post('/roster/:classId/import', readCsvBody, validate({
+    params: classIdParams,
+    query: { dryRun: boolean({ optional: true }) },
+}), asyncHandler(async (req, res) => {
+    const hocUserId = req.user.id;
+    const classIdInt = req.params.classId;
+
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun ?? 'true') !== 'false';
+    const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+    if (!csvText || typeof csvText !== 'string' || csvText.trim() === '') return sendError(res, 'CSV content is required.', 400);
+
+    const { entries, invalid } = parseRosterCsv(csvText);
+    if (entries.length + invalid.length > MAX_ROSTER_ROWS) return sendError(res, `A roster can have at most ${MAX_ROSTER_ROWS} rows.`, 400);
+    if (entries.length === 0) return sendError(res, 'No valid email addresses found in the CSV.', 400);
+
+    // The preview runs in a transaction too, so it sees the same locked counts a commit would
+    const outcome = await transaction(async (client) => {
+        const classInfo = await lockClassForEnrollment(client, classIdInt);
+        if (!classInfo) throw new NotFoundError('Class not found.');
+        if (classInfo.hoc_id !== hocUserId) throw new ForbiddenError('You are not authorized to manage this class roster.');
+        if (classInfo.status === 'cancelled' || classInfo.status === 'completed') {
+            throw new BadRequestError(`Cannot import a roster into a ${classInfo.status} class.`, { code: ERROR_CODES.CLASS_INACTIVE });
+        }
+
+        const { toEnroll, toWaitlist, ...report } = await planRosterImport(client, classInfo, entries);
+        if (dryRun) return { className: classInfo.class_name, report, result: null };
+
+        const enrolledBefore = classInfo.enrolledCount;
+        const result = await applyRosterImport(client, classInfo, { toEnroll, toWaitlist });
+        // Student ids only: the file's emails and names stay out of the append-only log
+        await recordAuditEvents(client, getAuditContext(req), {
+            action: AUDIT_ACTIONS.ROSTER_IMPORTED, targetType: 'class', targetId: classIdInt,
+            before: { enrolledCount: enrolledBefore },
+            after: { enrolledCount: classInfo.enrolledCount },
+            metadata: {
+                ...result, totalRows: entries.length + invalid.length,
+                enrolledStudentIds: toEnroll.map(match => match.userId), waitlistedStudentIds: toWaitlist.map(match => match.userId),
+            },
+        });
+        return { className: classInfo.class_name, report, result };
+    });
+
+    if (!dryRun) {
+        logger.info(`HOC ${hocUserId} imported roster into class ${classIdInt}: ${outcome.result.enrolled} enrolled, ${outcome.result.waitlisted} waitlisted.`);
     }
-    sendSuccess(res, { message: 'Head of Class privileges forcefully activated!' });
+    sendSuccess(res, {
+        classId: classIdInt,
+        className: outcome.className,
+        dryRun,
+        totalRows: entries.length + invalid.length,
+        invalidRows: invalid,
+        ...outcome.report,
+        ...(outcome.result && { result: outcome.result }),
+    }, dryRun ? 200 : 201);
+}));
+
+// Loads a class owned by the HOC for an export, or sends the error response and returns null
+// (req.params.classId has already been validated)
+async function loadOwnedClass(req, res) {
+    const cls = await pool.query('SELECT id, class_name, start_time, hoc_id FROM classes WHERE id = $1', [req.params.classId]);
+    if (cls.rowCount === 0) {
+        sendError(res, 'Class not found.', 404);
+        return null;
+    }
+    if (cls.rows[0].hoc_id !== req.user.id) {
+        sendError(res, 'You are not authorized to export data for this class.', 403);
+        return null;
+    }
+    return cls.rows[0];
+}
+
+// GET /api/hoc/roster/:classId/export
+router.get('/roster/:classId/export', validate({ params: classIdParams }), asyncHandler(async (req, res) => {
+    const cls = await loadOwnedClass(req, res);
+    if (!cls) return;
+
+    const { rows } = await pool.query(`
+        SELECT u.email, u.full_name, u.department, u.academic_year, 'enrolled' as status, e.enrolled_at as added_at, NULL::int as waitlist_position
+        FROM enrollments e JOIN users u ON u.id = e.student_id
+        WHERE e.class_id = $1
+        UNION ALL
+        SELECT u.email, u.full_name, u.department, u.academic_year, 'waitlisted', w.created_at,
+               (ROW_NUMBER() OVER (ORDER BY w.created_at ASC, w.id ASC))::int
+        FROM class_waitlist w JOIN users u ON u.id = w.student_id
+        WHERE w.class_id = $1
+        ORDER BY status ASC, waitlist_position ASC NULLS FIRST, full_name ASC`, [cls.id]);
+
+    const csv = toCsv([
+        { key: 'email', header: 'email' },
+        { key: 'full_name', header: 'name' },
+        { key: 'department', header: 'department' },
+        { key: 'academic_year', header: 'academic_year' },
+        { key: 'status', header: 'status' },
+        { key: 'waitlist_position', header: 'waitlist_position' },
+        { key: 'added_at', header: 'added_at' },
+    ], rows);
+    sendCsv(res, `roster-${cls.id}.csv`, csv);
+}));
+
+// --- Attendance ---
+
+// Latest unclosed check-in window for a class owned by the HOC
+const OPEN_WINDOW_QUERY = `
+    SELECT w.* FROM attendance_windows w
+    JOIN classes c ON c.id = w.class_id
+    WHERE w.class_id = $1 AND c.hoc_id = $2 AND w.closed_at IS NULL AND w.closes_at > NOW()
+    ORDER BY w.created_at DESC
+    LIMIT 1`;
+
+// Enrolled students without a record are reported as absent
+const CLASS_ATTENDANCE_QUERY = `
+    SELECT u.id as "studentId", u.full_name as name, u.email,
+           COALESCE(a.status, 'absent') as status, a.source, a.checked_in_at as "checkedInAt", a.note
+    FROM enrollments e
+    JOIN users u ON u.id = e.student_id
+    LEFT JOIN attendance_records a ON a.class_id = e.class_id AND a.student_id = e.student_id
+    WHERE e.class_id = $1
+    ORDER BY u.full_name ASC`;
+
+// POST /api/hoc/open-check-in
+router.post('/open-check-in', validate({
+    body: {
+        classId: integer({ min: 1 }),
+        durationMinutes: integer({ default: 15, min: 1, max: 240 }),
+        lateAfterMinutes: integer({ default: 10, min: 0 }),
+    },
+}), asyncHandler(async (req, res) => {
+    const hocUserId = req.user.id;
+    const { classId: classIdInt, durationMinutes: duration, lateAfterMinutes: lateAfter } = req.body;
+    if (lateAfter > duration) return sendError(res, 'Late-after must be between 0 and the window duration.', 400);
+
+    const window = await transaction(async (client) => {
+        const cls = await client.query('SELECT id, hoc_id, status FROM classes WHERE id = $1 FOR UPDATE', [classIdInt]);
+        if (cls.rowCount === 0) throw new NotFoundError('Class not found.');
+        if (cls.rows[0].hoc_id !== hocUserId) throw new ForbiddenError('You are not authorized to take attendance for this class.');
+        if (cls.rows[0].status === 'cancelled') {
+            throw new BadRequestError('Cannot take attendance for a cancelled class.', { code: ERROR_CODES.CLASS_INACTIVE });
+        }
+
+        // Opening a new window replaces any window still open for the class
+        const replaced = await client.query(
+            'UPDATE attendance_windows SET closed_at = NOW() WHERE class_id = $1 AND closed_at IS NULL RETURNING id', [classIdInt]);
+        const { rows } = await client.query(`
+            INSERT INTO attendance_windows (class_id, opened_by, code_secret, opens_at, late_after, closes_at, created_at)
+            VALUES ($1, $2, $3, NOW(), NOW() + make_interval(mins => $4), NOW() + make_interval(mins => $5), NOW())
+            RETURNING *`,
+            [classIdInt, hocUserId, generateCodeSecret(), lateAfter, duration]);
+        // Never the code secret: it would let anyone reading the log work out the codes
+        await recordAuditEvents(client, getAuditContext(req), {
+            action: AUDIT_ACTIONS.ATTENDANCE_WINDOW_OPENED, targetType: 'class', targetId: classIdInt,
+            after: { windowId: rows[0].id, opensAt: rows[0].opens_at, lateAfter: rows[0].late_after, closesAt: rows[0].closes_at },
+            metadata: { durationMinutes: duration, lateAfterMinutes: lateAfter, replacedWindowIds: replaced.rows.map(r => r.id) },
+        });
+        return rows[0];
+    });
+
+    const { code, expiresAt } = getCurrentCheckInCode(window.code_secret);
+    logger.info(`Check-in opened for class ${classIdInt} by HOC ${hocUserId} until ${window.closes_at.toISOString()}.`);
+    sendSuccess(res, {
+        windowId: window.id, opensAt: window.opens_at, lateAfter: window.late_after, closesAt: window.closes_at,
+        code, codeExpiresAt: expiresAt, qrPayload: buildCheckInQrPayload(classIdInt, code)
+    }, 201);
+}));
+
+// GET /api/hoc/check-in-code/:classId
+router.get('/check-in-code/:classId', validate({ params: classIdParams }), asyncHandler(async (req, res) => {
+    const classIdInt = req.params.classId;
+
+    const { rows } = await pool.query(OPEN_WINDOW_QUERY, [classIdInt, req.user.id]);
+    if (rows.length === 0) return sendError(res, 'No open check-in window for this class.', 404);
+
+    const { code, expiresAt } = getCurrentCheckInCode(rows[0].code_secret);
+    sendSuccess(res, { code, codeExpiresAt: expiresAt, closesAt: rows[0].closes_at, qrPayload: buildCheckInQrPayload(classIdInt, code) });
+}));
+
+// POST /api/hoc/close-check-in
+router.post('/close-check-in', validate({ body: classIdParams }), asyncHandler(async (req, res) => {
+    const classIdInt = req.body.classId;
+
+    const { rowCount } = await transaction(async (client) => {
+        const closed = await client.query(`
+            UPDATE attendance_windows w SET closed_at = NOW()
+            FROM classes c
+            WHERE c.id = w.class_id AND w.class_id = $1 AND c.hoc_id = $2 AND w.closed_at IS NULL
+            RETURNING w.id`,
+            [classIdInt, req.user.id]);
+        if (closed.rowCount > 0) {
+            await recordAuditEvents(client, getAuditContext(req), {
+                action: AUDIT_ACTIONS.ATTENDANCE_WINDOW_CLOSED, targetType: 'class', targetId: classIdInt,
+                metadata: { windowIds: closed.rows.map(r => r.id) },
+            });
+        }
+        return closed;
+    });
+    if (rowCount === 0) return sendError(res, 'No open check-in window for this class.', 404);
+
+    logger.info(`Check-in closed for class ${classIdInt} by HOC ${req.user.id}.`);
+    sendSuccess(res, { message: 'Check-in closed.' });
+}));
+
+// GET /api/hoc/attendance/:classId
+router.get('/attendance/:classId', validate({ params: classIdParams }), asyncHandler(async (req, res) => {
+    const classIdInt = req.params.classId;
+
+    const cls = await pool.query('SELECT id, class_name, start_time, hoc_id FROM classes WHERE id = $1', [classIdInt]);
+    if (cls.rowCount === 0) return sendError(res, 'Class not found.', 404);
+    if (cls.rows[0].hoc_id !== req.user.id) return sendError(res, 'You are not authorized to view attendance for this class.', 403);
+
+    const { rows } = await pool.query(CLASS_ATTENDANCE_QUERY, [classIdInt]);
+
+    const { class_name, start_time } = cls.rows[0];
+    sendSuccess(res, { classId: classIdInt, className: class_name, startTime: start_time, ...summarizeAttendance(rows), students: rows });
+}));
+
+// GET /api/hoc/attendance/:classId/export
+router.get('/attendance/:classId/export', validate({ params: classIdParams }), asyncHandler(async (req, res) => {
+    const cls = await loadOwnedClass(req, res);
+    if (!cls) return;
+
+    const { rows } = await pool.query(CLASS_ATTENDANCE_QUERY, [cls.id]);
+    const csv = toCsv([
+        { key: 'email', header: 'email' },
+        { key: 'name', header: 'name' },
+        { key: 'status', header: 'status' },
+        { key: 'source', header: 'source' },
+        { key: 'checkedInAt', header: 'checked_in_at' },
+        { key: 'note', header: 'note' },
+    ], rows);
+    sendCsv(res, `attendance-${cls.id}.csv`, csv);
+}));
+
+// GET /api/hoc/students/:studentId/attendance
+router.get('/students/:studentId/attendance', validate({
+    params: { studentId: integer({ min: 1 }) },
+}), asyncHandler(async (req, res) => {
+    const studentIdInt = req.params.studentId;
+
+    // Only past (or in-progress) classes of this HOC that the student is enrolled in
+    const { rows } = await pool.query(`
+        SELECT c.id as "classId", c.class_name as "className", c.start_time as "startTime",
+               COALESCE(a.status, 'absent') as status, a.source, a.checked_in_at as "checkedInAt", a.note
+        FROM enrollments e
+        JOIN classes c ON c.id = e.class_id
+        LEFT JOIN attendance_records a ON a.class_id = c.id AND a.student_id = e.student_id
+        WHERE e.student_id = $1 AND c.hoc_id = $2 AND c.status <> 'cancelled' AND c.start_time <= NOW()
+        ORDER BY c.start_time DESC`, [studentIdInt, req.user.id]);
+
+    sendSuccess(res, { studentId: studentIdInt, ...summarizeAttendance(rows), classes: rows });
+}));
+
+// POST /api/hoc/attendance/override
+router.post('/attendance/override', validate({
+    body: {
+        classId: integer({ min: 1 }),
+        studentId: integer({ min: 1 }),
+        status: oneOf(ATTENDANCE_STATUSES),
+        note: string({ optional: true, nullable: true, max: 1000 }),
+    },
+}), asyncHandler(async (req, res) => {
+    const hocUserId = req.user.id;
+    const { classId: classIdInt, studentId: studentIdInt, status, note = null } = req.body;
+
+    const overridden = await transaction(async (client) => {
+        const verify = await client.query(`
+            SELECT 1 FROM classes c JOIN enrollments e ON e.class_id = c.id
+            WHERE c.id = $1 AND c.hoc_id = $2 AND e.student_id = $3`, [classIdInt, hocUserId, studentIdInt]);
+        if (verify.rowCount === 0) return false;
+
+        const previous = await client.query(
+            'SELECT status, source, note FROM attendance_records WHERE class_id = $1 AND student_id = $2 FOR UPDATE',
+            [classIdInt, studentIdInt]);
+        await client.query(`
+            INSERT INTO attendance_records (class_id, student_id, status, source, marked_by, note, created_at, updated_at)
+            VALUES ($1, $2, $3, 'manual', $4, $5, NOW(), NOW())
+            ON CONFLICT (class_id, student_id) DO UPDATE
+            SET status = EXCLUDED.status, source = 'manual', marked_by = EXCLUDED.marked_by,
+                note = EXCLUDED.note, updated_at = NOW()`,
+            [classIdInt, studentIdInt, status, hocUserId, note]);
+        // No record yet is what the attendance reports show as absent
+        await recordAuditEvents(client, getAuditContext(req), {
+            action: AUDIT_ACTIONS.ATTENDANCE_OVERRIDDEN, targetType: 'class', targetId: classIdInt,
+            before: previous.rows[0] ?? { status: 'absent', source: null, note: null },
+            after: { status, source: 'manual', note },
+            metadata: { studentId: studentIdInt },
+        });
+        return true;
+    });
+    if (!overridden) return sendError(res, 'Class not found, access denied, or student not enrolled.', 404);
+
+    logger.info(`Attendance for student ${studentIdInt} in class ${classIdInt} set to ${status} by HOC ${hocUserId}.`);
+    sendSuccess(res, { message: 'Attendance updated.' });
 }));
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,79 @@
+// routes/attendance.js
+import express from 'express';
+import { pool, transaction } from '../db.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { sendSuccess, sendError } from '../utils/responceHandler.js';
+import { ForbiddenError, BadRequestError, ConflictError, ERROR_CODES } from '../utils/errors.js';
+import { verifyCheckInCode, summarizeAttendance } from '../utils/attendance.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// A student checks in once per class, so a handful of tries covers typos. Anything more is guessing:
+// with the current and previous 6-digit codes valid, an unthrottled script would soon hit one.
+const checkInLimit = rateLimit({
+    name: 'check_in', by: 'user', max: 10, window: '15m',
+    message: 'Too many check-in attempts. Please try again later.',
+});
+
+// POST /api/attendance/check-in
+router.post('/check-in', checkInLimit, asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const { classId, code } = req.body;
+    const classIdInt = parseInt(classId, 10);
+    if (!classIdInt || !code) return sendError(res, 'Class ID and check-in code are required.', 400);
+
+    const outcome = await transaction(async (client) => {
+        const enrolled = await client.query('SELECT 1 FROM enrollments WHERE class_id = $1 AND student_id = $2', [classIdInt, userId]);
+        if (enrolled.rowCount === 0) throw new ForbiddenError('You are not enrolled in this class.', { code: ERROR_CODES.NOT_ENROLLED });
+
+        const windowResult = await client.query(`
+            SELECT id, code_secret, late_after < NOW() as is_late FROM attendance_windows
+            WHERE class_id = $1 AND closed_at IS NULL AND opens_at <= NOW() AND closes_at > NOW()
+            ORDER BY created_at DESC
+            LIMIT 1`, [classIdInt]);
+        if (windowResult.rowCount === 0) {
+            throw new BadRequestError('Check-in is not open for this class.', { code: ERROR_CODES.CHECK_IN_CLOSED });
+        }
+
+        const window = windowResult.rows[0];
+        if (!verifyCheckInCode(window.code_secret, String(code))) {
+            throw new BadRequestError('Invalid or expired check-in code.', { code: ERROR_CODES.CHECK_IN_CODE_INVALID });
+        }
+
+        const status = window.is_late ? 'late' : 'present';
+        // A manual HOC entry (e.g. excused) is never overwritten by a self check-in
+        const inserted = await client.query(`
+            INSERT INTO attendance_records (class_id, student_id, status, source, checked_in_at, created_at, updated_at)
+            VALUES ($1, $2, $3, 'check_in', NOW(), NOW(), NOW())
+            ON CONFLICT (class_id, student_id) DO NOTHING
+            RETURNING checked_in_at`, [classIdInt, userId, status]);
+        if (inserted.rowCount === 0) {
+            throw new ConflictError('Attendance has already been recorded for this class.', { code: ERROR_CODES.ALREADY_CHECKED_IN });
+        }
+
+        return { status, checkedInAt: inserted.rows[0].checked_in_at };
+    });
+
+    logger.info(`User ${userId} checked in to class ${classIdInt} (${outcome.status}).`);
+    sendSuccess(res, { message: outcome.status === 'late' ? 'Checked in (late).' : 'Checked in.', ...outcome }, 201);
+}));
+
+// GET /api/attendance/my-attendance
+router.get('/my-attendance', asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const { rows } = await pool.query(`
+        SELECT c.id as "classId", c.class_name as "className", c.subject, c.start_time as "startTime",
+               COALESCE(a.status, 'absent') as status, a.checked_in_at as "checkedInAt", a.note
+        FROM enrollments e
+        JOIN classes c ON c.id = e.class_id
+        LEFT JOIN attendance_records a ON a.class_id = c.id AND a.student_id = e.student_id
+        WHERE e.student_id = $1 AND c.status <> 'cancelled' AND c.start_time <= NOW()
+        ORDER BY c.start_time DESC`, [userId]);
+
+    sendSuccess(res, { ...summarizeAttendance(rows), classes: rows });
+}));
+
+export default router;
@@ -0,0 +1,41 @@
+// routes/audit.js
+import express from 'express';
+import asyncHandler from '../utils/asyncHandler.js';
+import { sendSuccess } from '../utils/responceHandler.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validate.js';
+import { string, integer, timestamp } from '../utils/schema.js';
+import { searchAuditEvents } from '../utils/audit.js';
+
+const router = express.Router();
+
+const MAX_AUDIT_PAGE_SIZE = 100;
+
+const AUDIT_FILTERS = {
+    action: string({ optional: true, max: 64 }),
+    targetType: string({ optional: true, max: 32 }),
+    targetId: integer({ optional: true, min: 1 }),
+    since: timestamp({ optional: true }),
+    until: timestamp({ optional: true }),
+    limit: integer({ default: 50, min: 1, max: MAX_AUDIT_PAGE_SIZE }),
+    beforeId: integer({ optional: true, min: 1 }),
+};
+
+// GET /api/audit/mine?action=&targetType=&targetId=&since=&until=&limit=&beforeId=
+// A HOC's own actions
+router.get('/mine', requireRole('hoc'), validate({ query: AUDIT_FILTERS }), asyncHandler(async (req, res) => {
+    const { limit, beforeId, ...filters } = req.query;
+    const page = await searchAuditEvents({ ...filters, actorId: req.user.id }, { limit, beforeId });
+    sendSuccess(res, page);
+}));
+
+// GET /api/audit?actorId=&action=&targetType=&targetId=&since=&until=&limit=&beforeId=
+router.get('/', requireRole('admin'), validate({
+    query: { ...AUDIT_FILTERS, actorId: integer({ optional: true, min: 1 }) },
+}), asyncHandler(async (req, res) => {
+    const { limit, beforeId, ...filters } = req.query;
+    const page = await searchAuditEvents(filters, { limit, beforeId });
+    sendSuccess(res, page);
+}));
+
+export default router;
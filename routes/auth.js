@@ -1,35 +1,71 @@
 // routes/auth.js
 import express from 'express';
-import { pool } from '../db.js';
+import { pool, transaction } from '../db.js';
 import { hashPassword, comparePassword } from '../utils/hash.js';
-import { generateToken } from '../utils/jwt.js';
+import { createSession, rotateSession, revokeSession, revokeAllSessions, getSessionMetadata } from '../utils/sessions.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { createUserToken, consumeUserToken } from '../utils/userTokens.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/authEmails.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import { sendSuccess, sendError } from '../utils/responceHandler.js';
+import { ERROR_CODES, RateLimitError, BadRequestError, ConflictError } from '../utils/errors.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { getLoginLockoutSeconds, recordLoginFailure, clearLoginFailures } from '../utils/loginLockout.js';
+import { recordAuditEvents, getAuditContext, AUDIT_ACTIONS } from '../utils/audit.js';
+import { validate } from '../middleware/validate.js';
+import { string, email } from '../utils/schema.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-// POST /api/auth/signup
-router.post('/signup', asyncHandler(async (req, res) => {
-    const { fullName, email, password, department, academicYear } = req.body;
+const MIN_PASSWORD_LENGTH = 6;
+// bcrypt only looks at the first 72 bytes; the cap just stops absurd payloads
+const MAX_PASSWORD_LENGTH = 256;
 
-    // Validation
-    if (!fullName || !email || !password || !department || !academicYear) {
-        return sendError(res, 'All fields are required.', 400);
-    }
-    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-         return sendError(res, 'Invalid email format.', 400);
+// Passwords are never trimmed, so leading/trailing spaces stay significant
+const password = (options = {}) => string({ trim: false, max: MAX_PASSWORD_LENGTH, ...options });
+const newPassword = () => password({ min: MIN_PASSWORD_LENGTH });
+const tokenString = () => string({ max: 512 });
+
+// Sends a verification email without failing the calling request if the mail transport is down
+async function issueVerificationEmail(user) {
+    try {
+        const token = await createUserToken(user.id, 'verify_email');
+        await sendVerificationEmail(user, token);
+    } catch (error) {
+        logger.error(`Failed to issue verification email for user ${user.id}:`, error.message);
     }
-    if (password.length < 6) {
-        return sendError(res, 'Password must be at least 6 characters.', 400);
+}
+
+// Issues and emails a reset token. Never throws: it runs after the response has been sent
+async function issuePasswordReset(user) {
+    try {
+        const token = await createUserToken(user.id, 'reset_password');
+        await sendPasswordResetEmail(user, token);
+        logger.info(`Password reset requested for user ${user.id}.`);
+    } catch (error) {
+        logger.error(`Failed to issue password reset for user ${user.id}:`, error.message);
     }
+}
+
+// POST /api/auth/signup
+router.post('/signup', rateLimit({ name: 'signup', by: 'ip', max: 5, window: '1h' }), validate({
+    body: {
+        fullName: string({ max: 255 }),
+        email: email(),
+        password: newPassword(),
+        department: string({ max: 255 }),
+        academicYear: string({ max: 50 }),
+    },
+}), asyncHandler(async (req, res) => {
+    const { fullName, email: lowerCaseEmail, password: plainPassword, department, academicYear } = req.body;
 
-    const lowerCaseEmail = email.toLowerCase();
     const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [lowerCaseEmail]);
     if (existingUser.rows.length > 0) {
-        return sendError(res, 'An account with this email already exists.', 409);
+        return sendError(res, 'An account with this email already exists.', 409, ERROR_CODES.EMAIL_TAKEN);
     }
 
-    const hashedPassword = await hashPassword(password);
+    const hashedPassword = await hashPassword(plainPassword);
 
     const insertQuery = `
         INSERT INTO users (full_name, email, password_hash, department, academic_year, is_hoc, created_at, updated_at)
@@ -37,43 +73,202 @@ router.post('/signup', asyncHandler(async (req, res) => {
         RETURNING id`;
     const values = [fullName, lowerCaseEmail, hashedPassword, department, academicYear, false];
     
-    await pool.query(insertQuery, values);
+    const { rows } = await pool.query(insertQuery, values);
+    await issueVerificationEmail({ id: rows[0].id, email: lowerCaseEmail, fullName });
 
-    sendSuccess(res, { message: "Account created successfully. Please log in." }, 201);
+    sendSuccess(res, { message: "Account created successfully. Check your email to verify your address, then log in." }, 201);
 }));
 
 // POST /api/auth/login
-router.post('/login', asyncHandler(async (req, res) => {
-    const { email, password } = req.body;
+// Login only checks the email is present: a malformed one simply won't match an account
+router.post('/login', rateLimit({ name: 'login', by: 'ip', max: 20, window: '15m' }), validate({
+    body: { email: string({ max: 255, lowercase: true }), password: password() },
+}), asyncHandler(async (req, res) => {
+    const { email: lowerCaseEmail, password: plainPassword } = req.body;
 
-    if (!email || !password) {
-        return sendError(res, 'Email and password are required.', 400);
+    // Checked before the password so a locked account can't keep guessing
+    const lockedForSeconds = await getLoginLockoutSeconds(lowerCaseEmail);
+    if (lockedForSeconds > 0) {
+        throw new RateLimitError('Too many failed login attempts. Please try again later.', {
+            retryAfterSeconds: lockedForSeconds, code: ERROR_CODES.ACCOUNT_LOCKED,
+        });
     }
 
-    const lowerCaseEmail = email.toLowerCase();
     const userQuery = `
         SELECT id, email, password_hash, full_name as "fullName", department,
-               academic_year as "academicYear", is_hoc as "isHoc"
+               academic_year as "academicYear", is_hoc as "isHoc",
+               email_verified_at IS NOT NULL as "emailVerified"
         FROM users WHERE email = $1`;
     const userResult = await pool.query(userQuery, [lowerCaseEmail]);
 
-    if (userResult.rows.length === 0) {
-        return sendError(res, 'Invalid email or password.', 401);
-    }
     const user = userResult.rows[0];
-
-    const isMatch = await comparePassword(password, user.password_hash);
+    const isMatch = user ? await comparePassword(plainPassword, user.password_hash) : false;
     if (!isMatch) {
-        return sendError(res, 'Invalid email or password.', 401);
+        await recordLoginFailure(lowerCaseEmail);
+        return sendError(res, 'Invalid email or password.', 401, ERROR_CODES.INVALID_CREDENTIALS);
     }
+    await clearLoginFailures(lowerCaseEmail);
 
-    const token = generateToken(user.id);
+    const { token, refreshToken } = await createSession(user.id, getSessionMetadata(req));
     const userDataToSend = {
         id: user.id, fullName: user.fullName, email: user.email,
-        department: user.department, academicYear: user.academicYear, isHoc: user.isHoc
+        department: user.department, academicYear: user.academicYear, isHoc: user.isHoc,
+        emailVerified: user.emailVerified
     };
 
-    sendSuccess(res, { token, user: userDataToSend });
+    sendSuccess(res, { token, refreshToken, user: userDataToSend });
+}));
+
+// POST /api/auth/refresh
+router.post('/refresh', validate({ body: { refreshToken: tokenString() } }), asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+    const result = await rotateSession(refreshToken);
+    if (result.error) return sendError(res, result.error, 401, ERROR_CODES.REFRESH_TOKEN_INVALID);
+
+    sendSuccess(res, { token: result.token, refreshToken: result.refreshToken });
+}));
+
+// POST /api/auth/logout
+router.post('/logout', protect, asyncHandler(async (req, res) => {
+    await revokeSession(req.sessionId, 'logout');
+    logger.info(`User ${req.user.id} logged out of session ${req.sessionId}.`);
+    sendSuccess(res, { message: 'Logged out.' });
+}));
+
+// POST /api/auth/logout-all
+router.post('/logout-all', protect, asyncHandler(async (req, res) => {
+    const revoked = await revokeAllSessions(req.user.id, 'logout_all');
+    logger.info(`User ${req.user.id} logged out of ${revoked} session(s).`);
+    sendSuccess(res, { message: 'Logged out of all devices.', sessionsRevoked: revoked });
+}));
+
+// --- Email Verification ---
+
+// POST /api/auth/verify-email
+router.post('/verify-email', validate({ body: { token: tokenString() } }), asyncHandler(async (req, res) => {
+    const userId = await transaction(async (client) => {
+        const id = await consumeUserToken(req.body.token, 'verify_email', client);
+        if (id) {
+            await client.query(
+                'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = $1',
+                [id]
+            );
+        }
+        return id;
+    });
+    if (!userId) return sendError(res, 'Verification link is invalid or has expired.', 400, ERROR_CODES.LINK_INVALID);
+
+    logger.info(`User ${userId} verified their email address.`);
+    sendSuccess(res, { message: 'Email verified.' });
+}));
+
+// POST /api/auth/confirm-email-change
+// Token from the link sent by POST /api/me/email to the new address
+router.post('/confirm-email-change', validate({ body: { token: tokenString() } }), asyncHandler(async (req, res) => {
+    const userId = await transaction(async (client) => {
+        const id = await consumeUserToken(req.body.token, 'change_email', client);
+        if (!id) throw new BadRequestError('Confirmation link is invalid or has expired.', { code: ERROR_CODES.LINK_INVALID });
+
+        try {
+            // Opening the link proves ownership of the new address
+            const { rowCount } = await client.query(
+                `UPDATE users SET email = pending_email, pending_email = NULL, email_verified_at = NOW(), updated_at = NOW()
+                 WHERE id = $1 AND pending_email IS NOT NULL AND deleted_at IS NULL`,
+                [id]
+            );
+            if (rowCount === 0) throw new BadRequestError('Confirmation link is invalid or has expired.', { code: ERROR_CODES.LINK_INVALID });
+        } catch (error) {
+            // Someone signed up with (or moved to) the address after the change was requested
+            if (error.code === '23505') throw new ConflictError('An account with this email already exists.', { code: ERROR_CODES.EMAIL_TAKEN });
+            throw error;
+        }
+        await recordAuditEvents(client, { ...getAuditContext(req), actorId: id }, {
+            action: AUDIT_ACTIONS.EMAIL_CHANGED, targetType: 'user', targetId: id,
+        });
+        return id;
+    });
+
+    logger.info(`User ${userId} confirmed their new email address.`);
+    sendSuccess(res, { message: 'Email address updated.' });
+}));
+
+// POST /api/auth/resend-verification
+router.post('/resend-verification', protect, asyncHandler(async (req, res) => {
+    const { rows } = await pool.query('SELECT email_verified_at FROM users WHERE id = $1', [req.user.id]);
+    if (rows[0]?.email_verified_at) return sendError(res, 'Email is already verified.', 409, ERROR_CODES.EMAIL_ALREADY_VERIFIED);
+
+    await issueVerificationEmail(req.user);
+    sendSuccess(res, { message: 'Verification email sent.' });
+}));
+
+// --- Password Reset ---
+
+// POST /api/auth/request-reset
+router.post('/request-reset', rateLimit({ name: 'password_reset', by: 'ip', max: 5, window: '15m' }), validate({
+    body: { email: string({ max: 255, lowercase: true }) },
+}), asyncHandler(async (req, res) => {
+    const userResult = await pool.query(
+        'SELECT id, email, full_name as "fullName" FROM users WHERE email = $1',
+        [req.body.email]
+    );
+
+    // Same response, sent just as quickly, whether or not the account exists, so this can't be
+    // used to discover emails: the token and email are only issued once the response is out.
+    sendSuccess(res, { message: 'If an account exists for that email, a reset link has been sent.' });
+
+    const user = userResult.rows[0];
+    if (user) issuePasswordReset(user);
+}));
+
+// POST /api/auth/confirm-reset
+router.post('/confirm-reset', validate({
+    body: { token: tokenString(), newPassword: newPassword() },
+}), asyncHandler(async (req, res) => {
+    const hashedPassword = await hashPassword(req.body.newPassword);
+    const userId = await transaction(async (client) => {
+        const id = await consumeUserToken(req.body.token, 'reset_password', client);
+        if (id) {
+            // Receiving the reset email also proves ownership of the address
+            await client.query(
+                `UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+                 WHERE id = $2`,
+                [hashedPassword, id]
+            );
+            // Not logged in, so the account owner is recorded as the actor
+            await recordAuditEvents(client, { ...getAuditContext(req), actorId: id }, {
+                action: AUDIT_ACTIONS.PASSWORD_RESET, targetType: 'user', targetId: id,
+            });
+        }
+        return id;
+    });
+    if (!userId) return sendError(res, 'Reset link is invalid or has expired.', 400, ERROR_CODES.LINK_INVALID);
+
+    await revokeAllSessions(userId, 'password_reset');
+    logger.info(`Password reset completed for user ${userId}; all sessions revoked.`);
+    sendSuccess(res, { message: 'Password has been reset. Please log in.' });
+}));
+
+// POST /api/auth/change-password
+router.post('/change-password', protect, validate({
+    body: { currentPassword: password(), newPassword: newPassword() },
+}), asyncHandler(async (req, res) => {
+    const { currentPassword } = req.body;
+
+    const { rows } = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    const isMatch = await comparePassword(currentPassword, rows[0]?.password_hash);
+    if (!isMatch) return sendError(res, 'Current password is incorrect.', 401, ERROR_CODES.INVALID_CREDENTIALS);
+
+    const hashedPassword = await hashPassword(req.body.newPassword);
+    await transaction(async (client) => {
+        await client.query('UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2', [hashedPassword, req.user.id]);
+        await recordAuditEvents(client, getAuditContext(req), {
+            action: AUDIT_ACTIONS.PASSWORD_CHANGED, targetType: 'user', targetId: req.user.id,
+        });
+    });
+    const revoked = await revokeAllSessions(req.user.id, 'password_changed', { exceptSessionId: req.sessionId });
+
+    logger.info(`User ${req.user.id} changed their password; ${revoked} other session(s) revoked.`);
+    sendSuccess(res, { message: 'Password changed.', sessionsRevoked: revoked });
 }));
 
 export default router; // Use export default for the router
\ No newline at end of file
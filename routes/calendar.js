@@ -0,0 +1,84 @@
+// routes/calendar.js
+import express from 'express';
+import { pool } from '../db.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { generateOpaqueToken, hashToken } from '../utils/jwt.js';
+import { buildClassCalendar } from '../utils/ical.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { sendSuccess, sendError } from '../utils/responceHandler.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// How far back the feed goes; older classes drop out of subscribers' calendars
+const FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 90;
+
+// Public base URL of this API, used to build the subscription link
+const getApiBaseUrl = (req) => (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+const buildFeedUrls = (req, token) => {
+    const url = `${getApiBaseUrl(req)}/api/calendar/feed/${token}.ics`;
+    return { url, webcalUrl: url.replace(/^https?:\/\//, 'webcal://') };
+};
+
+// GET /api/calendar/feed/:token.ics
+// Authenticated only by the secret token in the URL, since calendar apps can't send headers
+router.get('/feed/:token.ics', asyncHandler(async (req, res) => {
+    const feed = await pool.query(`
+        UPDATE calendar_feeds f SET last_accessed_at = NOW()
+        FROM users u
+        WHERE f.token_hash = $1 AND u.id = f.user_id
+        RETURNING u.id, u.full_name, u.is_hoc`, [hashToken(req.params.token)]);
+    if (feed.rowCount === 0) return sendError(res, 'Calendar feed not found.', 404);
+
+    const user = feed.rows[0];
+    // Same classes as the dashboard (enrolled) and, for HOCs, my-classes (owned), cancelled included
+    const { rows: classes } = await pool.query(`
+        SELECT
+            c.id, c.class_name, c.subject, c.start_time, c.duration_minutes, c.location, c.status,
+            c.updated_at, c.calendar_sequence, COALESCE(instructor.full_name, 'TBA') as instructor
+        FROM classes c
+        LEFT JOIN users instructor ON c.hoc_id = instructor.id
+        WHERE (c.id IN (SELECT class_id FROM enrollments WHERE student_id = $1) OR (c.hoc_id = $1 AND $2))
+          AND c.start_time >= NOW() - make_interval(days => $3)
+        ORDER BY c.start_time ASC`, [user.id, user.is_hoc, FEED_PAST_DAYS]);
+
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="synapse.ics"',
+        'Cache-Control': 'private, max-age=300',
+    });
+    res.send(buildClassCalendar({ name: `Synapse – ${user.full_name}`, classes }));
+}));
+
+// GET /api/calendar/feed
+router.get('/feed', protect, asyncHandler(async (req, res) => {
+    const feed = await pool.query(
+        'SELECT created_at as "createdAt", last_accessed_at as "lastAccessedAt" FROM calendar_feeds WHERE user_id = $1',
+        [req.user.id]);
+    // The URL itself can't be shown again because only its hash is stored; rotate to get a new one
+    sendSuccess(res, feed.rowCount === 0 ? { enabled: false } : { enabled: true, ...feed.rows[0] });
+}));
+
+// POST /api/calendar/feed/rotate
+// Creates the feed URL, or replaces it so the previous URL stops working
+router.post('/feed/rotate', protect, asyncHandler(async (req, res) => {
+    const token = generateOpaqueToken();
+    await pool.query(`
+        INSERT INTO calendar_feeds (user_id, token_hash, created_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (user_id) DO UPDATE SET token_hash = EXCLUDED.token_hash, created_at = NOW(), last_accessed_at = NULL`,
+        [req.user.id, hashToken(token)]);
+
+    logger.info(`Calendar feed URL rotated for user ${req.user.id}.`);
+    sendSuccess(res, { message: 'Calendar feed URL generated. Any previous URL no longer works.', ...buildFeedUrls(req, token) });
+}));
+
+// DELETE /api/calendar/feed
+router.delete('/feed', protect, asyncHandler(async (req, res) => {
+    const result = await pool.query('DELETE FROM calendar_feeds WHERE user_id = $1', [req.user.id]);
+    if (result.rowCount === 0) return sendError(res, 'Calendar feed is not enabled.', 404);
+    sendSuccess(res, { message: 'Calendar feed disabled.' });
+}));
+
+export default router;
@@ -0,0 +1,168 @@
+// routes/enrollments.js
+import express from 'express';
+import { pool, transaction } from '../db.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { sendSuccess, sendError } from '../utils/responceHandler.js';
+import { NotFoundError, ConflictError, BadRequestError, ERROR_CODES } from '../utils/errors.js';
+import { lockClassForEnrollment, enrollOrWaitlist, removeFromClass } from '../utils/enrollment.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// GET /api/enrollments/my-enrollments
+router.get('/my-enrollments', asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    logger.debug(`Fetching enrollments for user ${userId}`);
+
+    const enrolledQuery = `
+        SELECT c.id, c.class_name, c.subject, c.start_time, c.duration_minutes, c.location, c.status,
+               e.enrolled_at as "enrolledAt"
+        FROM enrollments e
+        JOIN classes c ON c.id = e.class_id
+        WHERE e.student_id = $1
+        ORDER BY c.start_time ASC`;
+
+    const waitlistQuery = `
+        SELECT c.id, c.class_name, c.subject, c.start_time, c.location, c.status,
+               w.position, w.created_at as "waitlistedAt"
+        FROM (
+            SELECT class_id, student_id, created_at,
+                   ROW_NUMBER() OVER (PARTITION BY class_id ORDER BY created_at ASC, id ASC)::int as position
+            FROM class_waitlist
+        ) w
+        JOIN classes c ON c.id = w.class_id
+        WHERE w.student_id = $1
+        ORDER BY c.start_time ASC`;
+
+    const [enrolledResult, waitlistResult] = await Promise.all([
+        pool.query(enrolledQuery, [userId]),
+        pool.query(waitlistQuery, [userId])
+    ]);
+
+    sendSuccess(res, { enrolled: enrolledResult.rows, waitlisted: waitlistResult.rows });
+}));
+
+// POST /api/enrollments/enroll
+router.post('/enroll', asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const classIdInt = parseInt(req.body.classId, 10);
+    if (!classIdInt) return sendError(res, 'Class ID is required.', 400);
+
+    const outcome = await transaction(async (client) => {
+        const cls = await lockClassForEnrollment(client, classIdInt);
+        if (!cls) throw new NotFoundError('Class not found.');
+        if (cls.status === 'cancelled' || cls.status === 'completed') {
+            throw new BadRequestError('Cannot enroll in a completed or cancelled class.', { code: ERROR_CODES.CLASS_INACTIVE });
+        }
+
+        const result = await enrollOrWaitlist(client, cls, userId);
+        if (result.status === 'already_enrolled') {
+            throw new ConflictError('You are already enrolled in this class.', { code: ERROR_CODES.ALREADY_ENROLLED });
+        }
+        if (result.status === 'already_waitlisted') {
+            throw new ConflictError('You are already on the waitlist for this class.', { code: ERROR_CODES.ALREADY_WAITLISTED });
+        }
+        return result;
+    });
+
+    if (outcome.status === 'waitlisted') {
+        logger.info(`User ${userId} waitlisted for class ${classIdInt} at position ${outcome.position}.`);
+        return sendSuccess(res, { message: 'Class is full. You have been added to the waitlist.', ...outcome }, 201);
+    }
+    logger.info(`User ${userId} enrolled in class ${classIdInt}.`);
+    sendSuccess(res, { message: 'Enrolled successfully.', ...outcome }, 201);
+}));
+
+// POST /api/enrollments/unenroll
+router.post('/unenroll', asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const classIdInt = parseInt(req.body.classId, 10);
+    if (!classIdInt) return sendError(res, 'Class ID is required.', 400);
+
+    const outcome = await transaction(async (client) => {
+        const cls = await lockClassForEnrollment(client, classIdInt);
+        if (!cls) throw new NotFoundError('Class not found.');
+
+        const result = await removeFromClass(client, cls, userId);
+        if (result.status !== 'not_found') return result;
+
+        throw new NotFoundError('You are not enrolled or waitlisted in this class.', { code: ERROR_CODES.NOT_ENROLLED });
+    });
+
+    logger.info(`User ${userId} left class ${classIdInt} (${outcome.status}).`);
+    sendSuccess(res, {
+        message: outcome.status === 'unenrolled' ? 'Unenrolled successfully.' : 'Removed from waitlist.',
+        status: outcome.status
+    });
+}));
+
+// --- Series Enrollment ---
+
+// POST /api/enrollments/enroll-series
+router.post('/enroll-series', asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const seriesIdInt = parseInt(req.body.seriesId, 10);
+    if (!seriesIdInt) return sendError(res, 'Series ID is required.', 400);
+
+    const outcome = await transaction(async (client) => {
+        const series = await client.query('SELECT id FROM class_series WHERE id = $1', [seriesIdInt]);
+        if (series.rowCount === 0) throw new NotFoundError('Class series not found.');
+
+        const inserted = await client.query(
+            `INSERT INTO series_enrollments (series_id, student_id, enrolled_at) VALUES ($1, $2, NOW())
+             ON CONFLICT (series_id, student_id) DO NOTHING`,
+            [seriesIdInt, userId]
+        );
+        if (inserted.rowCount === 0) {
+            throw new ConflictError('You are already enrolled in this series.', { code: ERROR_CODES.ALREADY_ENROLLED });
+        }
+
+        const occurrences = await client.query(
+            `SELECT id FROM classes
+             WHERE series_id = $1 AND start_time >= NOW() AND status NOT IN ('cancelled', 'completed')
+             ORDER BY start_time ASC`,
+            [seriesIdInt]
+        );
+        const counts = { enrolled: 0, waitlisted: 0 };
+        for (const { id } of occurrences.rows) {
+            const cls = await lockClassForEnrollment(client, id);
+            const result = await enrollOrWaitlist(client, cls, userId);
+            if (result.status === 'enrolled') counts.enrolled++;
+            if (result.status === 'waitlisted') counts.waitlisted++;
+        }
+        return counts;
+    });
+
+    logger.info(`User ${userId} enrolled in series ${seriesIdInt} (${outcome.enrolled} enrolled, ${outcome.waitlisted} waitlisted).`);
+    sendSuccess(res, { message: 'Enrolled in series.', ...outcome }, 201);
+}));
+
+// POST /api/enrollments/unenroll-series
+router.post('/unenroll-series', asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const seriesIdInt = parseInt(req.body.seriesId, 10);
+    if (!seriesIdInt) return sendError(res, 'Series ID is required.', 400);
+
+    const outcome = await transaction(async (client) => {
+        const removed = await client.query('DELETE FROM series_enrollments WHERE series_id = $1 AND student_id = $2', [seriesIdInt, userId]);
+        if (removed.rowCount === 0) throw new NotFoundError('You are not enrolled in this series.', { code: ERROR_CODES.NOT_ENROLLED });
+
+        // Past occurrences are left untouched so attendance history is preserved
+        const occurrences = await client.query(
+            `SELECT id FROM classes WHERE series_id = $1 AND start_time >= NOW() ORDER BY start_time ASC`,
+            [seriesIdInt]
+        );
+        let left = 0;
+        for (const { id } of occurrences.rows) {
+            const cls = await lockClassForEnrollment(client, id);
+            const result = await removeFromClass(client, cls, userId);
+            if (result.status !== 'not_found') left++;
+        }
+        return { occurrencesLeft: left };
+    });
+
+    logger.info(`User ${userId} left series ${seriesIdInt} (${outcome.occurrencesLeft} occurrences).`);
+    sendSuccess(res, { message: 'Unenrolled from series.', ...outcome });
+}));
+
+export default router;
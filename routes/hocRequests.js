@@ -0,0 +1,190 @@
+// routes/hocRequests.js
+import express from 'express';
+import { pool, transaction } from '../db.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { sendSuccess, sendError } from '../utils/responceHandler.js';
+import { NotFoundError, ForbiddenError, BadRequestError, ERROR_CODES } from '../utils/errors.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+import { recordAuditEvents, getAuditContext, AUDIT_ACTIONS } from '../utils/audit.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'revoked'];
+
+// Everything GET /audit/:userId reports about a user's roles
+const ROLE_AUDIT_ACTIONS = [
+    AUDIT_ACTIONS.HOC_REQUESTED, AUDIT_ACTIONS.HOC_APPROVED, AUDIT_ACTIONS.HOC_REJECTED, AUDIT_ACTIONS.HOC_REVOKED,
+    AUDIT_ACTIONS.ADMIN_GRANTED, AUDIT_ACTIONS.ADMIN_REVOKED,
+];
+
+const REVIEW_AUDIT_ACTIONS = {
+    approved: AUDIT_ACTIONS.HOC_APPROVED,
+    rejected: AUDIT_ACTIONS.HOC_REJECTED,
+    revoked: AUDIT_ACTIONS.HOC_REVOKED,
+};
+
+const REQUEST_COLUMNS = `
+    r.id, r.user_id as "userId", r.department, r.academic_year as "academicYear", r.reason,
+    r.status, r.reviewed_by as "reviewedBy", r.review_note as "reviewNote",
+    r.created_at as "createdAt", r.reviewed_at as "reviewedAt"`;
+
+// Applies an admin decision to a request, guarding on its current status. Throws if it can't be applied.
+async function reviewRequest({ requestId, adminId, fromStatus, toStatus, note, isHoc, auditContext }) {
+    return transaction(async (client) => {
+        const { rows } = await client.query('SELECT * FROM hoc_requests WHERE id = $1 FOR UPDATE', [requestId]);
+        if (rows.length === 0) throw new NotFoundError('HOC request not found.');
+        const request = rows[0];
+
+        if (request.user_id === adminId) throw new ForbiddenError('You cannot review your own HOC request.');
+        if (request.status !== fromStatus) {
+            throw new BadRequestError(`Only ${fromStatus} requests can be ${toStatus}. This request is ${request.status}.`);
+        }
+
+        await client.query(
+            `UPDATE hoc_requests SET status = $1, reviewed_by = $2, review_note = $3, reviewed_at = NOW()
+             WHERE id = $4`,
+            [toStatus, adminId, note, requestId]
+        );
+        const { rows: [user] } = await client.query('SELECT is_hoc FROM users WHERE id = $1', [request.user_id]);
+        if (typeof isHoc === 'boolean') {
+            await client.query('UPDATE users SET is_hoc = $1, updated_at = NOW() WHERE id = $2', [isHoc, request.user_id]);
+        }
+        await recordAuditEvents(client, auditContext, {
+            action: REVIEW_AUDIT_ACTIONS[toStatus], targetType: 'user', targetId: request.user_id,
+            before: { requestStatus: fromStatus, isHoc: user.is_hoc },
+            after: { requestStatus: toStatus, isHoc: typeof isHoc === 'boolean' ? isHoc : user.is_hoc },
+            metadata: { hocRequestId: requestId, department: request.department, academicYear: request.academic_year, note },
+        });
+        return { userId: request.user_id };
+    });
+}
+
+// --- Requester Endpoints ---
+
+// POST /api/hoc-requests
+router.post('/', asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const { department, academicYear, reason = null } = req.body;
+
+    if (!department || !academicYear) {
+        return sendError(res, 'Department and Academic Year are required.', 400);
+    }
+    if (req.user.isHoc) {
+        return sendError(res, 'You already have Head of Class privileges.', 409, ERROR_CODES.ALREADY_HOC);
+    }
+
+    const created = await transaction(async (client) => {
+        const pending = await client.query(
+            `SELECT id FROM hoc_requests WHERE user_id = $1 AND status = 'pending'`, [userId]);
+        if (pending.rowCount > 0) return null;
+
+        const { rows } = await client.query(
+            `INSERT INTO hoc_requests (user_id, department, academic_year, reason, status, created_at)
+             VALUES ($1, $2, $3, $4, 'pending', NOW())
+             RETURNING id`,
+            [userId, department, String(academicYear), reason]
+        );
+        await recordAuditEvents(client, getAuditContext(req), {
+            action: AUDIT_ACTIONS.HOC_REQUESTED, targetType: 'user', targetId: userId,
+            after: { requestStatus: 'pending' },
+            metadata: { hocRequestId: rows[0].id, department, academicYear: String(academicYear), reason },
+        });
+        return rows[0];
+    });
+
+    if (!created) return sendError(res, 'You already have a pending HOC request.', 409, ERROR_CODES.HOC_REQUEST_PENDING);
+
+    logger.info(`User ${userId} requested HOC status for ${department} (${academicYear}).`);
+    sendSuccess(res, { message: 'HOC request submitted for review.', requestId: created.id }, 201);
+}));
+
+// GET /api/hoc-requests/mine
+router.get('/mine', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query(
+        `SELECT ${REQUEST_COLUMNS} FROM hoc_requests r WHERE r.user_id = $1 ORDER BY r.created_at DESC`,
+        [req.user.id]
+    );
+    sendSuccess(res, rows);
+}));
+
+// --- Admin Endpoints ---
+
+// GET /api/hoc-requests?status=pending
+router.get('/', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    if (status && !REQUEST_STATUSES.includes(status)) {
+        return sendError(res, `Status must be one of: ${REQUEST_STATUSES.join(', ')}.`, 400);
+    }
+
+    const query = `
+        SELECT ${REQUEST_COLUMNS}, u.full_name as "fullName", u.email
+        FROM hoc_requests r
+        JOIN users u ON u.id = r.user_id
+        WHERE ($1::text IS NULL OR r.status = $1)
+        ORDER BY r.created_at ASC`;
+    const { rows } = await pool.query(query, [status || null]);
+    sendSuccess(res, rows);
+}));
+
+// GET /api/hoc-requests/audit/:userId
+// The user's role changes from audit_events, newest first
+router.get('/audit/:userId', requireRole('admin'), asyncHandler(async (req, res) => {
+    const userIdInt = parseInt(req.params.userId, 10);
+    if (isNaN(userIdInt)) return sendError(res, 'Invalid user ID.', 400);
+
+    const { rows } = await pool.query(`
+        SELECT a.id, a.action, a.before, a.after, a.metadata as details,
+               (a.metadata->>'hocRequestId')::int as "requestId", a.created_at as "createdAt",
+               a.actor_id as "actorId", actor.full_name as "actorName"
+        FROM audit_events a
+        LEFT JOIN users actor ON actor.id = a.actor_id
+        WHERE a.target_type = 'user' AND a.target_id = $1 AND a.action = ANY($2::text[])
+        ORDER BY a.created_at DESC, a.id DESC`, [userIdInt, ROLE_AUDIT_ACTIONS]);
+    sendSuccess(res, rows);
+}));
+
+// POST /api/hoc-requests/:id/approve
+router.post('/:id/approve', requireRole('admin'), asyncHandler(async (req, res) => {
+    const requestId = parseInt(req.params.id, 10);
+    if (isNaN(requestId)) return sendError(res, 'Invalid request ID.', 400);
+
+    const result = await reviewRequest({
+        requestId, adminId: req.user.id, fromStatus: 'pending', toStatus: 'approved',
+        note: req.body.note || null, isHoc: true, auditContext: getAuditContext(req),
+    });
+
+    logger.info(`HOC request ${requestId} approved by admin ${req.user.id}; user ${result.userId} is now HOC.`);
+    sendSuccess(res, { message: 'HOC request approved.' });
+}));
+
+// POST /api/hoc-requests/:id/reject
+router.post('/:id/reject', requireRole('admin'), asyncHandler(async (req, res) => {
+    const requestId = parseInt(req.params.id, 10);
+    if (isNaN(requestId)) return sendError(res, 'Invalid request ID.', 400);
+
+    await reviewRequest({
+        requestId, adminId: req.user.id, fromStatus: 'pending', toStatus: 'rejected',
+        note: req.body.note || null, auditContext: getAuditContext(req),
+    });
+
+    logger.info(`HOC request ${requestId} rejected by admin ${req.user.id}.`);
+    sendSuccess(res, { message: 'HOC request rejected.' });
+}));
+
+// POST /api/hoc-requests/:id/revoke
+router.post('/:id/revoke', requireRole('admin'), asyncHandler(async (req, res) => {
+    const requestId = parseInt(req.params.id, 10);
+    if (isNaN(requestId)) return sendError(res, 'Invalid request ID.', 400);
+    if (!req.body.note) return sendError(res, 'A note explaining the revocation is required.', 400);
+
+    const result = await reviewRequest({
+        requestId, adminId: req.user.id, fromStatus: 'approved', toStatus: 'revoked',
+        note: req.body.note, isHoc: false, auditContext: getAuditContext(req),
+    });
+
+    logger.info(`HOC privileges for user ${result.userId} revoked by admin ${req.user.id}.`);
+    sendSuccess(res, { message: 'HOC privileges revoked.' });
+}));
+
+export default router;
@@ -3,11 +3,15 @@ import express from 'express';
 import { pool } from '../db.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import { sendSuccess, sendError } from '../utils/responceHandler.js';
+import { buildNotificationFilters, parseLimit } from '../utils/notificationQuery.js';
+import { formatClassTime, formatClassTimeOfDay } from '../utils/schedule.js';
+import { isValidTimeZone, resolveTimeZone, getZonedDayBounds, toZonedIsoString, INSTITUTION_TIMEZONE } from '../utils/timezone.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
 // Helper function (move to a utils file if used elsewhere)
-function formatRelativeTime(dateString) {
+function formatRelativeTime(dateString, timeZone) {
     if (!dateString) return 'Some time ago';
     try {
         const date = new Date(dateString);
@@ -23,9 +27,9 @@ function formatRelativeTime(dateString) {
         if (diffMins < 60) return `${diffMins}m ago`;
         if (diffHours < 24) return `${diffHours}h ago`;
         if (diffDays < 7) return `${diffDays}d ago`;
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return date.toLocaleDateString('en-US', { timeZone, month: 'short', day: 'numeric' });
     } catch (e) {
-        console.error("Error formatting relative time:", e);
+        logger.error("Error formatting relative time:", e);
         return 'Unknown time';
     }
 }
@@ -36,7 +40,7 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     const userId = req.user.id;
     const user = req.user; // User object is already available
 
-    console.log(`Fetching dashboard data for user ${userId}`);
+    logger.debug(`Fetching dashboard data for user ${userId}`);
 
     // Fetch next class and today's schedule in parallel
     const nextClassQuery = `
@@ -58,59 +62,89 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
         FROM classes c
         JOIN enrollments e ON c.id = e.class_id
         WHERE e.student_id = $1
-          AND DATE(c.start_time) = CURRENT_DATE
+          AND c.start_time >= $2 AND c.start_time < $3
         ORDER BY c.start_time ASC`;
 
+    // "Today" is the user's calendar day, not the server's or the database's
+    const timeZone = resolveTimeZone(user);
+    const today = getZonedDayBounds(new Date(), timeZone);
+
     const [nextClassResult, todayScheduleResult] = await Promise.all([
         pool.query(nextClassQuery, [userId]),
-        pool.query(todayScheduleQuery, [userId])
+        pool.query(todayScheduleQuery, [userId, today.start, today.end])
     ]);
 
-    const nextClass = nextClassResult.rows[0] || null;
+    const nextClassRow = nextClassResult.rows[0] || null;
+    const nextClass = nextClassRow && {
+        ...nextClassRow,
+        start_time_local: toZonedIsoString(nextClassRow.start_time, timeZone),
+        display_time: formatClassTime(nextClassRow.start_time, timeZone),
+    };
     
     const todaySchedule = todayScheduleResult.rows.map(item => ({
         ...item,
-        time: item.time
-            ? new Date(item.time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })
-            : 'TBA'
+        time: formatClassTimeOfDay(item.time, timeZone),
+        startTime: toZonedIsoString(item.time, timeZone)
     }));
 
     sendSuccess(res, {
         user, // Send the full user object from middleware
         nextClass,
         todaySchedule,
+        today: today.date,
+        timezone: timeZone,
         isHOC: user.isHoc // Explicitly include isHOC
     });
 }));
 
-// GET /api/home/recent-updates
+// GET /api/home/recent-updates?limit=&type=&source=&relatedClassId=&isRead=&since=&until=
 router.get('/recent-updates', asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    console.log(`Fetching recent updates for user ${userId}`);
+    logger.debug(`Fetching recent updates for user ${userId}`);
+
+    // Dashboard widget: latest 5 by default. Older items are paged via /api/notifications/get-notifications
+    const limit = parseLimit(req.query.limit, 5);
+    if (limit === null) return sendError(res, 'Limit must be a positive integer.', 400);
+    const filters = buildNotificationFilters(userId, req.query, { allowCursor: false });
+    if (filters.error) return sendError(res, filters.error, 400);
 
-    // Fetch latest 5 notifications
     const query = `
         SELECT
-            id,
-            title,
-            message as desc,
-            created_at as time,
-            type,
-            source,
-            is_read
-        FROM notifications
-        WHERE user_id = $1
-        ORDER BY created_at DESC
-        LIMIT 5`;
-
-    const result = await pool.query(query, [userId]);
-
+            n.id,
+            n.title,
+            n.message as desc,
+            n.created_at as time,
+            n.type,
+            n.source,
+            n.is_read
+        FROM notifications n
+        WHERE ${filters.where}
+        ORDER BY n.created_at DESC, n.id DESC
+        LIMIT ${limit}`;
+
+    const result = await pool.query(query, filters.params);
+
+    const timeZone = resolveTimeZone(req.user);
     const formattedUpdates = result.rows.map(update => ({
         ...update,
-        time: formatRelativeTime(update.time)
+        time: formatRelativeTime(update.time, timeZone),
+        createdAt: toZonedIsoString(update.time, timeZone)
     }));
 
     sendSuccess(res, formattedUpdates);
 }));
 
+// POST /api/home/update-timezone
+// Body: { timezone: "Africa/Lagos" } or { timezone: null } to follow the institution zone
+router.post('/update-timezone', asyncHandler(async (req, res) => {
+    const { timezone } = req.body;
+    if (timezone !== null && !isValidTimeZone(timezone)) {
+        return sendError(res, 'Timezone must be a valid IANA zone name (e.g. "Europe/London") or null.', 400);
+    }
+
+    await pool.query('UPDATE users SET timezone = $1, updated_at = NOW() WHERE id = $2', [timezone, req.user.id]);
+    logger.info(`User ${req.user.id} set timezone to ${timezone ?? `institution default (${INSTITUTION_TIMEZONE})`}.`);
+    sendSuccess(res, { timezone, effectiveTimezone: timezone ?? INSTITUTION_TIMEZONE });
+}));
+
 export default router;
\ No newline at end of file
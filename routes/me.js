@@ -0,0 +1,240 @@
+// routes/me.js - The signed-in user's own profile, email, notification preferences and account
+import express from 'express';
+import { pool, transaction } from '../db.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { sendSuccess, sendError } from '../utils/responceHandler.js';
+import { comparePassword } from '../utils/hash.js';
+import { createUserToken } from '../utils/userTokens.js';
+import { sendEmailChangeConfirmation, sendEmailChangeNotice } from '../utils/authEmails.js';
+import { lockClassForEnrollment, removeFromClass } from '../utils/enrollment.js';
+import { setNotificationsEnabled, PUSH_NOTIFICATION_TYPES } from '../utils/pushNotifications.js';
+import { recordAuditEvents, getAuditContext, AUDIT_ACTIONS } from '../utils/audit.js';
+import { INSTITUTION_TIMEZONE } from '../utils/timezone.js';
+import { ERROR_CODES, BadRequestError, ConflictError, ServiceUnavailableError } from '../utils/errors.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { string, email, boolean, object, timeZone } from '../utils/schema.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const PROFILE_COLUMNS = `id, full_name as "fullName", email, pending_email as "pendingEmail",
+    email_verified_at IS NOT NULL as "emailVerified", department, academic_year as "academicYear",
+    is_hoc as "isHoc", is_admin as "isAdmin", timezone, notifications_enabled as "notificationsEnabled",
+    created_at as "createdAt", updated_at as "updatedAt"`;
+
+// Request field -> users column, for PATCH /api/me
+const PROFILE_FIELDS = {
+    fullName: 'full_name',
+    department: 'department',
+    academicYear: 'academic_year',
+    timezone: 'timezone',
+};
+
+const ACTIVE_CLASS_STATUSES = ['scheduled', 'rescheduled', 'ongoing'];
+
+// Email changes and deletion ask for the password again; limited so they can't be used to guess it
+const reauthLimit = rateLimit({ name: 'account_reauth', by: 'user', max: 10, window: '15m' });
+const currentPassword = () => string({ trim: false, max: 256 });
+
+const withEffectiveTimezone = (profile) => ({ ...profile, effectiveTimezone: profile.timezone ?? INSTITUTION_TIMEZONE });
+
+const toNotificationPreferences = (row) => ({
+    notificationsEnabled: row.notifications_enabled,
+    push: Object.fromEntries(PUSH_NOTIFICATION_TYPES.map(type => [type, !row.push_muted_types.includes(type)])),
+});
+
+// Re-authentication for sensitive changes; a valid access token alone isn't enough
+async function checkPassword(userId, password) {
+    const { rows } = await pool.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+    return comparePassword(password, rows[0]?.password_hash);
+}
+
+// --- Profile ---
+
+// GET /api/me
+router.get('/', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`, [req.user.id]);
+    sendSuccess(res, withEffectiveTimezone(rows[0]));
+}));
+
+// PATCH /api/me
+// Body: any of { fullName, department, academicYear, timezone (null = institution zone) }
+router.patch('/', validate({
+    body: {
+        fullName: string({ optional: true, max: 255 }),
+        department: string({ optional: true, max: 255 }),
+        academicYear: string({ optional: true, max: 50 }),
+        timezone: timeZone({ optional: true, nullable: true }),
+    },
+}), asyncHandler(async (req, res) => {
+    const fields = Object.keys(PROFILE_FIELDS).filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) throw new BadRequestError('No fields to update.');
+
+    const assignments = fields.map((field, i) => `${PROFILE_FIELDS[field]} = $${i + 2}`);
+    const profile = await transaction(async (client) => {
+        const { rows } = await client.query(`
+            UPDATE users SET ${assignments.join(', ')}, updated_at = NOW()
+            WHERE id = $1
+            RETURNING ${PROFILE_COLUMNS}`, [req.user.id, ...fields.map(field => req.body[field])]);
+        // Only field names: audit_events is append-only, so personal data stays out of it
+        await recordAuditEvents(client, getAuditContext(req), {
+            action: AUDIT_ACTIONS.PROFILE_UPDATED, targetType: 'user', targetId: req.user.id,
+            metadata: { fields },
+        });
+        return rows[0];
+    });
+
+    logger.info(`User ${req.user.id} updated their profile (${fields.join(', ')}).`);
+    sendSuccess(res, withEffectiveTimezone(profile));
+}));
+
+// --- Email ---
+
+// POST /api/me/email
+// Body: { newEmail, password }. The address changes once the link sent to it is opened
+// (POST /api/auth/confirm-email-change); until then the account keeps its current email.
+router.post('/email', reauthLimit, validate({
+    body: { newEmail: email(), password: currentPassword() },
+}), asyncHandler(async (req, res) => {
+    const { newEmail, password } = req.body;
+    const userId = req.user.id;
+
+    if (!(await checkPassword(userId, password))) {
+        return sendError(res, 'Password is incorrect.', 401, ERROR_CODES.INVALID_CREDENTIALS);
+    }
+    if (newEmail === req.user.email) {
+        throw new BadRequestError('That is already your email address.', { code: ERROR_CODES.EMAIL_UNCHANGED });
+    }
+    const taken = await pool.query('SELECT 1 FROM users WHERE email = $1', [newEmail]);
+    if (taken.rowCount > 0) throw new ConflictError('An account with this email already exists.', { code: ERROR_CODES.EMAIL_TAKEN });
+
+    const token = await transaction(async (client) => {
+        await client.query('UPDATE users SET pending_email = $1, updated_at = NOW() WHERE id = $2', [newEmail, userId]);
+        return createUserToken(userId, 'change_email', client);
+    });
+
+    try {
+        await sendEmailChangeConfirmation({ newEmail, fullName: req.user.fullName }, token);
+    } catch (error) {
+        logger.error(`Failed to send email change confirmation for user ${userId}:`, error.message);
+        throw new ServiceUnavailableError('Could not send the confirmation email. Please try again later.');
+    }
+    try {
+        await sendEmailChangeNotice(req.user);
+    } catch (error) {
+        logger.error(`Failed to send email change notice for user ${userId}:`, error.message);
+    }
+
+    logger.info(`User ${userId} requested an email change.`);
+    sendSuccess(res, { message: 'Check your new email address to confirm the change.', pendingEmail: newEmail });
+}));
+
+// --- Notification Preferences ---
+
+// GET /api/me/notification-preferences
+router.get('/notification-preferences', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query('SELECT notifications_enabled, push_muted_types FROM users WHERE id = $1', [req.user.id]);
+    sendSuccess(res, toNotificationPreferences(rows[0]));
+}));
+
+// PATCH /api/me/notification-preferences
+// Body: { notificationsEnabled?, push?: { class_reminder: false, ... } }. Turning a type's push off
+// keeps it in the inbox; notificationsEnabled: false stops everything and unregisters all devices.
+router.patch('/notification-preferences', validate({
+    body: {
+        notificationsEnabled: boolean({ optional: true }),
+        push: object(Object.fromEntries(PUSH_NOTIFICATION_TYPES.map(type => [type, boolean({ optional: true })])), { optional: true }),
+    },
+}), asyncHandler(async (req, res) => {
+    const { notificationsEnabled, push = {} } = req.body;
+    const userId = req.user.id;
+    const muted = Object.keys(push).filter(type => push[type] === false);
+    const unmuted = Object.keys(push).filter(type => push[type] === true);
+    if (notificationsEnabled === undefined && muted.length === 0 && unmuted.length === 0) {
+        throw new BadRequestError('No preferences to update.');
+    }
+
+    const preferences = await transaction(async (client) => {
+        if (notificationsEnabled !== undefined) await setNotificationsEnabled(userId, notificationsEnabled, client);
+        const { rows } = await client.query(`
+            UPDATE users SET push_muted_types = ARRAY(
+                SELECT DISTINCT t FROM unnest(push_muted_types || $2::text[]) AS t
+                WHERE NOT (t = ANY($3::text[])) ORDER BY t
+            ), updated_at = NOW()
+            WHERE id = $1
+            RETURNING notifications_enabled, push_muted_types`, [userId, muted, unmuted]);
+        return toNotificationPreferences(rows[0]);
+    });
+
+    logger.info(`User ${userId} updated notification preferences.`);
+    sendSuccess(res, preferences);
+}));
+
+// --- Account Deletion ---
+
+// DELETE /api/me
+// Body: { password }. The user leaves their upcoming classes (promoting waitlisted students),
+// their inbox, devices, sessions and pending requests are deleted, and the users row is
+// anonymized rather than removed so finished classes, attendance and audit history stay intact.
+router.delete('/', reauthLimit, validate({ body: { password: currentPassword() } }), asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    if (!(await checkPassword(userId, req.body.password))) {
+        return sendError(res, 'Password is incorrect.', 401, ERROR_CODES.INVALID_CREDENTIALS);
+    }
+
+    const outcome = await transaction(async (client) => {
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+        const owned = await client.query(
+            'SELECT id FROM classes WHERE hoc_id = $1 AND status = ANY($2::text[]) ORDER BY id',
+            [userId, ACTIVE_CLASS_STATUSES]
+        );
+        if (owned.rowCount > 0) {
+            throw new ConflictError('Cancel your upcoming classes (or let them finish) before deleting your account.', {
+                code: ERROR_CODES.HOC_HAS_ACTIVE_CLASSES,
+                details: { classIds: owned.rows.map(r => r.id) },
+            });
+        }
+
+        // Locked in class id order so concurrent multi-class changes can't deadlock
+        const joined = await client.query(`
+            SELECT e.class_id FROM enrollments e JOIN classes c ON c.id = e.class_id
+            WHERE e.student_id = $1 AND c.status = ANY($2::text[])
+            UNION
+            SELECT class_id FROM class_waitlist WHERE student_id = $1
+            ORDER BY class_id`, [userId, ACTIVE_CLASS_STATUSES]);
+        for (const { class_id: classId } of joined.rows) {
+            const cls = await lockClassForEnrollment(client, classId);
+            if (cls) await removeFromClass(client, cls, userId);
+        }
+
+        await client.query('DELETE FROM series_enrollments WHERE student_id = $1', [userId]);
+        await client.query('DELETE FROM notifications WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM push_outbox WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM push_tokens WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM user_tokens WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM calendar_feeds WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM hoc_requests WHERE user_id = $1', [userId]);
+        // Refresh tokens cascade; outstanding access tokens fail the session check from now on
+        await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+
+        await client.query(`
+            UPDATE users SET full_name = 'Deleted user', email = 'deleted-' || id || '@deleted.invalid',
+                   pending_email = NULL, password_hash = '!', department = '', academic_year = '',
+                   is_hoc = FALSE, is_admin = FALSE, notifications_enabled = FALSE, push_muted_types = '{}',
+                   timezone = NULL, email_verified_at = NULL, deleted_at = NOW(), updated_at = NOW()
+            WHERE id = $1`, [userId]);
+
+        const result = { classesLeft: joined.rowCount, wasHoc: req.user.isHoc };
+        await recordAuditEvents(client, getAuditContext(req), {
+            action: AUDIT_ACTIONS.ACCOUNT_DELETED, targetType: 'user', targetId: userId, metadata: result,
+        });
+        return result;
+    });
+
+    logger.info(`User ${userId} deleted their account (left ${outcome.classesLeft} class(es)).`);
+    sendSuccess(res, { message: 'Your account has been deleted.' });
+}));
+
+export default router;
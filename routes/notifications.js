@@ -1,146 +1,226 @@
 // routes/notifications.js
 import express from 'express';
-import { pool } from '../db.js';
+import { pool, transaction } from '../db.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import { sendSuccess, sendError } from '../utils/responceHandler.js';
-import fetch from 'node-fetch'; // You may need to install this: npm install node-fetch@2
+import { requireRole } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { getAuditContext, AUDIT_ACTIONS } from '../utils/audit.js';
+import { string, oneOf, integer, boolean, timestamp, array } from '../utils/schema.js';
+import { publishEvent, userChannel, EVENTS } from '../utils/realtime.js';
+import { buildNotificationFilters, parseLimit, encodeCursor, MAX_PAGE_SIZE } from '../utils/notificationQuery.js';
+import { deliverNotification, sendNotificationToClass, setNotificationsEnabled, ACTIVE_PUSH_TOKENS_JOIN } from '../utils/pushNotifications.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-// --- Push Notification Sending Helper ---
-// (This is a placeholder, replace with expo-server-sdk for production)
-async function sendExpoPushNotifications(pushTokens, title, body, data) {
-    const validTokens = pushTokens.filter(token => typeof token === 'string' && token.startsWith('ExponentPushToken['));
-    if (validTokens.length === 0) {
-        console.log("No valid Expo push tokens to send.");
-        return { success: true, tickets: [], errors: [] };
-    }
-    console.log(`--- Sending Push Notifications to ${validTokens.length} Expo tokens ---`);
+const notificationIdParams = { id: integer({ min: 1 }) };
 
-    const messages = validTokens.map(token => ({
-        to: token,
-        sound: 'default',
-        title: title,
-        body: body,
-        data: data,
-    }));
+// Filters shared by listing, counting and mark-all-read (see buildNotificationFilters)
+const NOTIFICATION_FILTERS = {
+    type: string({ optional: true, max: 50 }),
+    source: string({ optional: true, max: 50 }),
+    relatedClassId: integer({ optional: true, min: 1 }),
+    since: timestamp({ optional: true }),
+    until: timestamp({ optional: true }),
+};
 
-    try {
-        const response = await fetch('https://exp.host/--/api/v2/push/send', {
-            method: 'POST',
-            headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
-            body: JSON.stringify(messages),
-        });
-        if (!response.ok) throw new Error(`Expo API Error (${response.status}): ${await response.text()}`);
-
-        const result = await response.json();
-        console.log('Expo Push API Response:', JSON.stringify(result, null, 2));
-        const errors = [];
-        (result.data || []).forEach((ticket, index) => {
-            if (ticket.status === 'error') {
-                console.error(`Failed push to ${validTokens[index]}: ${ticket.message}`, ticket.details);
-                errors.push({ token: validTokens[index], details: ticket.details, message: ticket.message });
-                if (ticket.details?.error === 'DeviceNotRegistered') {
-                    removeInvalidPushToken(validTokens[index]); // Fire-and-forget removal
-                }
-            }
-        });
-        return { success: errors.length === 0, tickets: result.data || [], errors };
-    } catch (error) {
-        console.error('Fatal Error calling Expo Push API:', error);
-        throw new Error('Failed to communicate with Expo Push Notification service.');
-    }
-}
-async function removeInvalidPushToken(token) {
-    try {
-        console.log(`Removing invalid/unregistered token: ${token}`);
-        await pool.query('DELETE FROM push_tokens WHERE token = $1', [token]);
-    } catch (dbError) { console.error(`Failed to remove invalid token ${token}:`, dbError); }
-}
-// --- End Push Helper ---
+const notificationContent = {
+    title: string({ max: 255 }),
+    message: string({ max: 2000 }),
+};
 
 // --- Token Management ---
 
+const PUSH_PLATFORMS = ['ios', 'android', 'web'];
+
 // POST /api/notifications/register-token
-router.post('/register-token', asyncHandler(async (req, res) => {
-    const { pushToken } = req.body;
+router.post('/register-token', validate({
+    body: {
+        pushToken: string({ max: 255, pattern: /^ExponentPushToken\[/, patternMessage: 'must be a valid Expo push token' }),
+        platform: oneOf(PUSH_PLATFORMS, { optional: true, nullable: true }),
+        appVersion: string({ optional: true, nullable: true, max: 50 }),
+        deviceId: string({ optional: true, max: 255 }),
+    },
+}), asyncHandler(async (req, res) => {
+    const { pushToken, platform = null, appVersion = null } = req.body;
     const userId = req.user.id;
-    if (!pushToken || typeof pushToken !== 'string' || !pushToken.startsWith('ExponentPushToken[')) {
-        return sendError(res, 'A valid Expo push token is required.', 400);
-    }
-    console.log(`Registering token for user ${userId}: ${pushToken}`);
-    const query = `
-        INSERT INTO push_tokens (user_id, token, created_at, updated_at)
-        VALUES ($1, $2, NOW(), NOW())
-        ON CONFLICT (user_id) DO UPDATE
-        SET token = EXCLUDED.token, updated_at = NOW()
-        WHERE push_tokens.token IS DISTINCT FROM EXCLUDED.token;`;
-    await pool.query(query, [userId, pushToken]);
-    sendSuccess(res, { message: 'Token registered.' });
+    // Older app versions don't send a device id; the token then stands in for the device
+    const deviceId = req.body.deviceId || pushToken;
+
+    logger.info(`Registering push token for user ${userId} (${platform || 'unknown platform'})`);
+    await transaction(async (client) => {
+        // A token that moved to another device or account no longer belongs to its old owner
+        await client.query(
+            'DELETE FROM push_tokens WHERE token = $1 AND NOT (user_id = $2 AND device_id = $3)',
+            [pushToken, userId, deviceId]
+        );
+        await client.query(`
+            INSERT INTO push_tokens (user_id, device_id, token, platform, app_version, session_id, last_seen_at, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW(), NOW())
+            ON CONFLICT (user_id, device_id) DO UPDATE
+            SET token = EXCLUDED.token, platform = EXCLUDED.platform, app_version = EXCLUDED.app_version,
+                session_id = EXCLUDED.session_id, last_seen_at = NOW(), updated_at = NOW()`,
+            [userId, deviceId, pushToken, platform, appVersion, req.sessionId]);
+    });
+    sendSuccess(res, { message: 'Token registered.', deviceId });
 }));
 
 // POST /api/notifications/unregister-token
-router.post('/unregister-token', asyncHandler(async (req, res) => {
+router.post('/unregister-token', validate({
+    body: {
+        deviceId: string({ optional: true, max: 255 }),
+        pushToken: string({ optional: true, max: 255 }),
+    },
+}), asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    console.log(`Unregistering token for user ${userId}`);
-    await pool.query('DELETE FROM push_tokens WHERE user_id = $1', [userId]);
+    const { deviceId, pushToken } = req.body;
+    if (!deviceId && !pushToken) return sendError(res, 'Device ID or push token is required.', 400);
+
+    logger.info(`Unregistering push token for user ${userId} (${deviceId ? 'by device' : 'by token'})`);
+    const { rowCount } = await pool.query(
+        'DELETE FROM push_tokens WHERE user_id = $1 AND (device_id = $2 OR token = $3)',
+        [userId, deviceId || null, pushToken || null]
+    );
+    if (rowCount === 0) return sendError(res, 'Device not found.', 404);
     sendSuccess(res, { message: 'Token unregistered.' });
 }));
 
+// GET /api/notifications/devices
+router.get('/devices', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query(`
+        SELECT device_id as "deviceId", platform, app_version as "appVersion",
+               last_seen_at as "lastSeenAt", created_at as "createdAt",
+               session_id IS NOT DISTINCT FROM $2 as "isCurrentSession"
+        FROM push_tokens
+        WHERE user_id = $1
+        ORDER BY last_seen_at DESC`, [req.user.id, req.sessionId]);
+    sendSuccess(res, rows);
+}));
+
 // POST /api/notifications/update-preference
-router.post('/update-preference', asyncHandler(async (req, res) => {
+// Kept for existing app versions; PATCH /api/me/notification-preferences also covers per-type push settings
+router.post('/update-preference', validate({
+    body: { notificationsEnabled: boolean() },
+}), asyncHandler(async (req, res) => {
     const userId = req.user.id;
     const { notificationsEnabled } = req.body;
-    if (typeof notificationsEnabled !== 'boolean') return sendError(res, 'Invalid preference value.', 400);
-    
-    console.log(`Updating notification preference for user ${userId} to ${notificationsEnabled}`);
-    await pool.query('UPDATE users SET notifications_enabled = $1, updated_at = NOW() WHERE id = $2', [notificationsEnabled, userId]);
     
-    if (!notificationsEnabled) {
-        console.log(`Notifications disabled, removing token for user ${userId}.`);
-        await pool.query('DELETE FROM push_tokens WHERE user_id = $1', [userId]);
-    }
+    logger.info(`Updating notification preference for user ${userId} to ${notificationsEnabled}`);
+    await setNotificationsEnabled(userId, notificationsEnabled);
     sendSuccess(res, { message: 'Preference updated.' });
 }));
 
 // --- Notification Retrieval ---
 
-// GET /api/notifications/get-notifications
-router.get('/get-notifications', asyncHandler(async (req, res) => {
+// GET /api/notifications/get-notifications?limit=&cursor=&type=&source=&relatedClassId=&isRead=&since=&until=
+// With limit or cursor: { notifications, pageInfo: { hasMore, nextCursor } }. Without either, the
+// original response: a bare array of the newest MAX_PAGE_SIZE (100), which existing clients expect.
+router.get('/get-notifications', validate({
+    query: {
+        ...NOTIFICATION_FILTERS,
+        isRead: boolean({ optional: true }),
+        limit: integer({ optional: true, min: 1 }),
+        cursor: string({ optional: true, max: 200 }),
+    },
+}), asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    console.log(`Fetching notifications for user ${userId}`);
+    const paged = req.query.limit !== undefined || req.query.cursor !== undefined;
+    const limit = paged ? parseLimit(req.query.limit) : MAX_PAGE_SIZE;
+
+    const filters = buildNotificationFilters(userId, req.query);
+    if (filters.error) return sendError(res, filters.error, 400);
+
+    logger.debug(`Fetching notifications for user ${userId}`);
+    // Fetch one extra row to know whether another page exists
     const query = `
-        SELECT id, title, message, type, source, related_class_id, is_read AS "isRead", created_at AS "createdAt"
-        FROM notifications
-        WHERE user_id = $1
-        ORDER BY created_at DESC
-        LIMIT 100`;
-    const { rows } = await pool.query(query, [userId]);
-    sendSuccess(res, rows);
+        SELECT n.id, n.title, n.message, n.type, n.source, n.related_class_id, n.is_read AS "isRead",
+               n.created_at AS "createdAt", n.created_at::text AS cursor_created_at
+        FROM notifications n
+        WHERE ${filters.where}
+        ORDER BY n.created_at DESC, n.id DESC
+        LIMIT ${limit + 1}`;
+    const { rows } = await pool.query(query, filters.params);
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const notifications = page.map(({ cursor_created_at, ...notification }) => notification);
+
+    if (!paged) return sendSuccess(res, notifications);
+    sendSuccess(res, {
+        notifications,
+        pageInfo: { hasMore, nextCursor: hasMore ? encodeCursor(last.cursor_created_at, last.id) : null }
+    });
+}));
+
+// GET /api/notifications/unread-count
+router.get('/unread-count', validate({ query: NOTIFICATION_FILTERS }), asyncHandler(async (req, res) => {
+    const filters = buildNotificationFilters(req.user.id, { ...req.query, isRead: 'false' }, { allowCursor: false });
+    if (filters.error) return sendError(res, filters.error, 400);
+
+    const { rows } = await pool.query(`SELECT COUNT(*)::int as count FROM notifications n WHERE ${filters.where}`, filters.params);
+    sendSuccess(res, { unreadCount: rows[0].count });
 }));
 
 // --- Notification Actions ---
 
 // POST /api/notifications/mark-as-read/:id
-router.post('/mark-as-read/:id', asyncHandler(async (req, res) => {
+router.post('/mark-as-read/:id', validate({ params: notificationIdParams }), asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    const notificationId = parseInt(req.params.id, 10);
-    if (isNaN(notificationId)) return sendError(res, 'Invalid notification ID.', 400);
+    const notificationId = req.params.id;
     
-    console.log(`Marking notification ${notificationId} as read for user ${userId}`);
+    logger.info(`Marking notification ${notificationId} as read for user ${userId}`);
     const { rowCount } = await pool.query('UPDATE notifications SET is_read = TRUE WHERE id = $1 AND user_id = $2 RETURNING id', [notificationId, userId]);
     
     if (rowCount === 0) return sendError(res, 'Notification not found or access denied.', 404);
+    await publishEvent({ channels: [userChannel(userId)], type: EVENTS.NOTIFICATION_READ, data: { ids: [notificationId] } });
     sendSuccess(res, { message: 'Marked as read.' });
 }));
 
+// POST /api/notifications/mark-many-read
+router.post('/mark-many-read', validate({
+    body: { ids: array(integer({ min: 1 }), { min: 1, max: MAX_PAGE_SIZE }) },
+}), asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const idInts = req.body.ids;
+
+    logger.info(`Marking ${idInts.length} notifications as read for user ${userId}`);
+    const { rows, rowCount } = await pool.query(
+        'UPDATE notifications SET is_read = TRUE, updated_at = NOW() WHERE user_id = $1 AND id = ANY($2::int[]) AND is_read = FALSE RETURNING id',
+        [userId, idInts]
+    );
+    if (rowCount > 0) {
+        await publishEvent({ channels: [userChannel(userId)], type: EVENTS.NOTIFICATION_READ, data: { ids: rows.map(r => r.id) } });
+    }
+    sendSuccess(res, { message: 'Marked as read.', updated: rowCount });
+}));
+
+// POST /api/notifications/mark-all-read (accepts the same filters as get-notifications in the body)
+router.post('/mark-all-read', validate({ body: NOTIFICATION_FILTERS }), asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const filters = buildNotificationFilters(userId, { ...req.body, isRead: 'false' }, { allowCursor: false });
+    if (filters.error) return sendError(res, filters.error, 400);
+
+    logger.info(`Marking all notifications as read for user ${userId}`);
+    const { rowCount } = await pool.query(
+        `UPDATE notifications n SET is_read = TRUE, updated_at = NOW() WHERE ${filters.where}`,
+        filters.params
+    );
+    if (rowCount > 0) {
+        // Too many ids to list; clients refetch their inbox and badge count
+        await publishEvent({ channels: [userChannel(userId)], type: EVENTS.NOTIFICATION_READ, data: { all: true } });
+    }
+    sendSuccess(res, { message: 'All notifications marked as read.', updated: rowCount });
+}));
+
 // DELETE /api/notifications/delete-notification/:id
-router.delete('/delete-notification/:id', asyncHandler(async (req, res) => {
+router.delete('/delete-notification/:id', validate({ params: notificationIdParams }), asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    const notificationId = parseInt(req.params.id, 10);
-    if (isNaN(notificationId)) return sendError(res, 'Invalid notification ID.', 400);
+    const notificationId = req.params.id;
     
-    console.log(`Deleting notification ${notificationId} for user ${userId}`);
+    logger.info(`Deleting notification ${notificationId} for user ${userId}`);
     const { rowCount } = await pool.query('DELETE FROM notifications WHERE id = $1 AND user_id = $2 RETURNING id', [notificationId, userId]);
     
     if (rowCount === 0) return sendError(res, 'Notification not found or access denied.', 404);
@@ -150,21 +230,26 @@ router.delete('/delete-notification/:id', asyncHandler(async (req, res) => {
 // DELETE /api/notifications/clear-all
 router.delete('/clear-all', asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    console.log(`Clearing all notifications for user ${userId}`);
+    logger.info(`Clearing all notifications for user ${userId}`);
     await pool.query('DELETE FROM notifications WHERE user_id = $1', [userId]);
     sendSuccess(res, { message: 'All notifications cleared.' });
 }));
 
 // --- HOC Notification Sending ---
-// (These routes should be protected by hocOnly middleware in server.js)
+// (Each route below declares the 'hoc' role requirement itself)
 
 // POST /api/notifications/log-notification (For HOC to log their own sent messages)
-router.post('/log-notification', asyncHandler(async (req, res) => {
+router.post('/log-notification', requireRole('hoc'), validate({
+    body: {
+        ...notificationContent,
+        type: string({ default: 'announcement', max: 50 }),
+        related_class_id: integer({ optional: true, nullable: true, min: 1 }),
+    },
+}), asyncHandler(async (req, res) => {
     const hocUserId = req.user.id;
-    const { title, message, type = 'announcement', related_class_id = null } = req.body;
-    if (!title || !message) return sendError(res, 'Title and message required.', 400);
+    const { title, message, type, related_class_id = null } = req.body;
     
-    console.log(`Logging HOC-sent notification for user ${hocUserId}: ${title}`);
+    logger.info(`Logging HOC-sent notification for user ${hocUserId}: ${title}`);
     const query = `
         INSERT INTO notifications (user_id, title, message, type, source, related_class_id, is_read, created_at, updated_at)
         VALUES ($1, $2, $3, $4, 'hoc', $5, TRUE, NOW(), NOW()) RETURNING id`;
@@ -173,101 +258,61 @@ router.post('/log-notification', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/notifications/send-class-notification
-router.post('/send-class-notification', asyncHandler(async (req, res) => {
+router.post('/send-class-notification', requireRole('hoc'), validate({
+    body: { classId: integer({ min: 1 }), ...notificationContent },
+}), asyncHandler(async (req, res) => {
     const hocUserId = req.user.id;
-    const { classId, title, message } = req.body;
-    const classIdInt = parseInt(classId, 10);
-    if (!classIdInt || !title || !message) return sendError(res, 'Class ID, Title, and Message required.', 400);
+    const { classId: classIdInt, title, message } = req.body;
 
-    console.log(`HOC ${hocUserId} sending notification for class ${classIdInt}: ${title}`);
+    logger.info(`HOC ${hocUserId} sending notification for class ${classIdInt}: ${title}`);
     
     // Verify HOC owns the class
     const verify = await pool.query('SELECT 1 FROM classes WHERE id = $1 AND hoc_id = $2', [classIdInt, hocUserId]);
     if (verify.rowCount === 0) return sendError(res, 'Class not found or access denied.', 403);
 
-    // Get enabled students and their tokens
-    const students = await pool.query(`
-        SELECT u.id, pt.token FROM users u
-        JOIN enrollments e ON u.id = e.student_id
-        LEFT JOIN push_tokens pt ON u.id = pt.user_id
-        WHERE e.class_id = $1 AND u.notifications_enabled = TRUE`, [classIdInt]);
-    
-    const studentIds = students.rows.map(r => r.id);
-    const pushTokens = students.rows.map(r => r.token).filter(Boolean);
-    console.log(`Found ${studentIds.length} enabled students, ${pushTokens.length} tokens for class ${classIdInt}.`);
-
-    let dbLogCount = 0, pushAttemptCount = 0, pushErrorCount = 0;
+    const r = await sendNotificationToClass(classIdInt, title, message, { type: 'class_notification' }, {
+        audit: { context: getAuditContext(req), action: AUDIT_ACTIONS.NOTIFICATION_CLASS_SENT, targetType: 'class', targetId: classIdInt },
+    });
+    logger.info(`Found ${r.studentCount} enabled students for class ${classIdInt}.`);
     
-    // Log to DB
-    if (studentIds.length > 0) {
-        const logQuery = `INSERT INTO notifications (user_id, title, message, type, source, related_class_id, created_at, updated_at)
-                          VALUES ($1, $2, $3, 'class_notification', 'hoc', $4, NOW(), NOW())`;
-        try {
-            await Promise.all(studentIds.map(id => pool.query(logQuery, [id, title, message, classIdInt])));
-            dbLogCount = studentIds.length;
-        } catch (dbError) { console.error("DB log error:", dbError); }
-    }
-    
-    // Send Push
-    if (pushTokens.length > 0) {
-        try {
-            const r = await sendExpoPushNotifications(pushTokens, title, message, { type: 'class_notification', classId: classIdInt });
-            pushAttemptCount = pushTokens.length;
-            pushErrorCount = r.errors.length;
-        } catch (pushError) { console.error("Push error:", pushError.message); }
-    }
-    
-    sendSuccess(res, { message: `Processed. Logged: ${dbLogCount}. Push attempts: ${pushAttemptCount}. Errors: ${pushErrorCount}.` });
+    sendSuccess(res, { message: `Processed. Logged: ${r.dbLogCount}. Pushes queued: ${r.pushQueuedCount}.` });
 }));
 
 // POST /api/notifications/broadcast-notification
-router.post('/broadcast-notification', asyncHandler(async (req, res) => {
+// Each broadcast reaches every student of the HOC, so it's limited per HOC account
+router.post('/broadcast-notification', requireRole('hoc'), rateLimit({
+    name: 'broadcast', by: 'user', max: 5, window: '1h',
+    message: 'Broadcast limit reached. Please wait before sending another broadcast.',
+}), validate({ body: notificationContent }), asyncHandler(async (req, res) => {
     const hocUserId = req.user.id;
     const { title, message } = req.body;
-    if (!title || !message) return sendError(res, 'Title and Message required.', 400);
 
-    console.log(`HOC ${hocUserId} sending broadcast: ${title}`);
+    logger.info(`HOC ${hocUserId} sending broadcast: ${title}`);
     
     // Get all unique enabled students for this HOC
     const students = await pool.query(`
         SELECT DISTINCT u.id, pt.token FROM users u
         JOIN enrollments e ON u.id = e.student_id
         JOIN classes c ON e.class_id = c.id
-        LEFT JOIN push_tokens pt ON u.id = pt.user_id
+        ${ACTIVE_PUSH_TOKENS_JOIN}
         WHERE c.hoc_id = $1 AND u.notifications_enabled = TRUE`, [hocUserId]);
     
-    const studentIds = students.rows.map(r => r.id);
-    const pushTokens = students.rows.map(r => r.token).filter(Boolean);
-    console.log(`Found ${studentIds.length} unique students, ${pushTokens.length} tokens for HOC ${hocUserId}.`);
+    const studentCount = new Set(students.rows.map(r => r.id)).size;
+    logger.info(`Found ${studentCount} unique students for HOC ${hocUserId}.`);
 
-    let dbLogCount = 0, pushAttemptCount = 0, pushErrorCount = 0;
-    
-    // Log to DB
-    if (studentIds.length > 0) {
-        const logQuery = `INSERT INTO notifications (user_id, title, message, type, source, created_at, updated_at)
-                          VALUES ($1, $2, $3, 'announcement', 'hoc', NOW(), NOW())`;
-        try {
-            await Promise.all(studentIds.map(id => pool.query(logQuery, [id, title, message])));
-            dbLogCount = studentIds.length;
-        } catch (dbError) { console.error("DB broadcast log error:", dbError); }
-    }
-    
-    // Send Push
-    if (pushTokens.length > 0) {
-        try {
-            const r = await sendExpoPushNotifications(pushTokens, title, message, { type: 'announcement' });
-            pushAttemptCount = pushTokens.length;
-            pushErrorCount = r.errors.length;
-        } catch (pushError) { console.error("Broadcast push error:", pushError.message); }
-    }
+    const { dbLogCount, pushQueuedCount } = await deliverNotification(students.rows, {
+        title, message, type: 'announcement', source: 'hoc'
+    }, {
+        audit: { context: getAuditContext(req), action: AUDIT_ACTIONS.NOTIFICATION_BROADCAST, targetType: 'broadcast' },
+    });
     
     // Log for HOC's own records
     try {
         await pool.query(`INSERT INTO notifications (user_id, title, message, type, source, is_read, created_at, updated_at)
                           VALUES ($1, $2, $3, 'announcement', 'hoc_sent', TRUE, NOW(), NOW())`, [hocUserId, `Broadcast Sent: ${title}`, message]);
-    } catch (hocLogError) { console.error("Error logging HOC's own broadcast:", hocLogError); }
+    } catch (hocLogError) { logger.error("Error logging HOC's own broadcast:", hocLogError); }
 
-    sendSuccess(res, { message: `Broadcast processed. Logged: ${dbLogCount}. Push attempts: ${pushAttemptCount}. Errors: ${pushErrorCount}.` });
+    sendSuccess(res, { message: `Broadcast processed. Logged: ${dbLogCount}. Pushes queued: ${pushQueuedCount}.` });
 }));
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,174 @@
+// routes/rooms.js
+import express from 'express';
+import { pool } from '../db.js';
+import { requireRole } from '../middleware/authMiddleware.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { sendSuccess, sendError } from '../utils/responceHandler.js';
+import { parseFeatures, MAX_ROOM_FEATURES } from '../utils/rooms.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const ROOM_COLUMNS = `id, name, building, capacity, features, latitude::float as latitude, longitude::float as longitude,
+                      is_active as "isActive", created_at as "createdAt", updated_at as "updatedAt"`;
+
+// Validates create/update input. Only fields present in the body are returned.
+function parseRoomInput(body) {
+    const fields = {};
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || body.name.trim() === '') return { error: 'Name must be a non-empty string.' };
+        fields.name = body.name.trim();
+    }
+    if (body.building !== undefined) fields.building = body.building ? String(body.building).trim() : null;
+    if (body.capacity !== undefined) {
+        const capacity = body.capacity === null ? null : parseInt(body.capacity, 10);
+        if (capacity !== null && (isNaN(capacity) || capacity <= 0)) return { error: 'Capacity must be > 0.' };
+        fields.capacity = capacity;
+    }
+    if (body.features !== undefined) {
+        const features = parseFeatures(body.features);
+        if (!features) return { error: 'Features must be a list of strings.' };
+        if (features.length > MAX_ROOM_FEATURES) return { error: `A room can have at most ${MAX_ROOM_FEATURES} features.` };
+        fields.features = features;
+    }
+    if (body.latitude !== undefined || body.longitude !== undefined) {
+        const hasCoordinates = body.latitude !== null && body.longitude !== null;
+        const latitude = hasCoordinates ? parseFloat(body.latitude) : null;
+        const longitude = hasCoordinates ? parseFloat(body.longitude) : null;
+        if (hasCoordinates && (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180)) {
+            return { error: 'Latitude and longitude must be given together as valid coordinates.' };
+        }
+        fields.latitude = latitude;
+        fields.longitude = longitude;
+    }
+    if (body.isActive !== undefined) fields.is_active = body.isActive === true || body.isActive === 'true';
+    return { fields };
+}
+
+// GET /api/rooms?q=&building=&minCapacity=&features=projector,lab&availableAt=&duration=60
+router.get('/', requireRole('hoc', 'admin'), asyncHandler(async (req, res) => {
+    const { q, building, minCapacity, features, availableAt, duration = '60' } = req.query;
+    const conditions = ['is_active = TRUE'];
+    const params = [];
+
+    if (q) {
+        params.push(`%${q.trim()}%`);
+        conditions.push(`(name ILIKE $${params.length} OR building ILIKE $${params.length})`);
+    }
+    if (building) {
+        params.push(building.trim());
+        conditions.push(`building ILIKE $${params.length}`);
+    }
+    if (minCapacity !== undefined) {
+        const minCapacityNum = parseInt(minCapacity, 10);
+        if (isNaN(minCapacityNum) || minCapacityNum <= 0) return sendError(res, 'minCapacity must be > 0.', 400);
+        params.push(minCapacityNum);
+        conditions.push(`capacity >= $${params.length}`);
+    }
+    if (features) {
+        const featureList = parseFeatures(features);
+        if (!featureList) return sendError(res, 'Features must be a comma-separated list.', 400);
+        params.push(featureList);
+        conditions.push(`features @> $${params.length}::text[]`);
+    }
+    if (availableAt) {
+        // Same overlap rule as the classes_no_room_overlap constraint
+        const start = new Date(availableAt);
+        const durationMinutes = parseInt(duration, 10);
+        if (isNaN(start.getTime())) return sendError(res, 'Invalid availableAt time.', 400);
+        if (isNaN(durationMinutes) || durationMinutes <= 0) return sendError(res, 'Duration must be > 0.', 400);
+        params.push(start, durationMinutes);
+        conditions.push(`NOT EXISTS (
+            SELECT 1 FROM classes c
+            WHERE c.status <> 'cancelled' AND normalize_location(c.location) = normalize_location(rooms.name)
+              AND class_time_range(c.start_time, c.duration_minutes) && class_time_range($${params.length - 1}, $${params.length})
+        )`);
+    }
+
+    const { rows } = await pool.query(`
+        SELECT ${ROOM_COLUMNS} FROM rooms
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY building ASC NULLS LAST, name ASC
+        LIMIT 200`, params);
+    sendSuccess(res, rows);
+}));
+
+// GET /api/rooms/:id
+router.get('/:id', requireRole('hoc', 'admin'), asyncHandler(async (req, res) => {
+    const roomIdInt = parseInt(req.params.id, 10);
+    if (isNaN(roomIdInt)) return sendError(res, 'Invalid room ID.', 400);
+
+    const room = await pool.query(`SELECT ${ROOM_COLUMNS} FROM rooms WHERE id = $1`, [roomIdInt]);
+    if (room.rowCount === 0) return sendError(res, 'Room not found.', 404);
+
+    const bookings = await pool.query(`
+        SELECT id, class_name, start_time, duration_minutes, status
+        FROM classes
+        WHERE normalize_location(location) = normalize_location($1) AND status <> 'cancelled' AND start_time >= NOW()
+        ORDER BY start_time ASC
+        LIMIT 50`, [room.rows[0].name]);
+
+    sendSuccess(res, { ...room.rows[0], upcomingClasses: bookings.rows });
+}));
+
+// POST /api/rooms
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { fields, error } = parseRoomInput(req.body);
+    if (error) return sendError(res, error, 400);
+    if (!fields.name) return sendError(res, 'Name is required.', 400);
+
+    try {
+        const { rows } = await pool.query(`
+            INSERT INTO rooms (name, building, capacity, features, latitude, longitude, created_by, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+            RETURNING ${ROOM_COLUMNS}`,
+            [fields.name, fields.building ?? null, fields.capacity ?? null, fields.features ?? [],
+                fields.latitude ?? null, fields.longitude ?? null, req.user.id]);
+
+        // Link existing classes that were booked into this room by name
+        const linked = await pool.query(
+            'UPDATE classes SET room_id = $1 WHERE room_id IS NULL AND normalize_location(location) = normalize_location($2)',
+            [rows[0].id, rows[0].name]);
+
+        logger.info(`Room ${rows[0].id} (${rows[0].name}) created by admin ${req.user.id}; linked ${linked.rowCount} class(es).`);
+        sendSuccess(res, { ...rows[0], linkedClasses: linked.rowCount }, 201);
+    } catch (err) {
+        if (err.code === '23505') return sendError(res, 'A room with this name already exists.', 409);
+        throw err;
+    }
+}));
+
+// PATCH /api/rooms/:id
+router.patch('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const roomIdInt = parseInt(req.params.id, 10);
+    if (isNaN(roomIdInt)) return sendError(res, 'Invalid room ID.', 400);
+
+    const { fields, error } = parseRoomInput(req.body);
+    if (error) return sendError(res, error, 400);
+    const columns = Object.keys(fields);
+    if (columns.length === 0) return sendError(res, 'No fields to update.', 400);
+    // Renaming would silently detach the free-text location of classes already booked here
+    if (fields.name) {
+        const booked = await pool.query(`
+            SELECT 1 FROM classes WHERE room_id = $1 AND status NOT IN ('cancelled', 'completed')
+              AND normalize_location(location) <> normalize_location($2) LIMIT 1`, [roomIdInt, fields.name]);
+        if (booked.rowCount > 0) return sendError(res, 'Cannot rename a room that has upcoming classes.', 409);
+    }
+
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+    try {
+        const { rows } = await pool.query(`
+            UPDATE rooms SET ${assignments.join(', ')}, updated_at = NOW()
+            WHERE id = $1
+            RETURNING ${ROOM_COLUMNS}`, [roomIdInt, ...columns.map(column => fields[column])]);
+        if (rows.length === 0) return sendError(res, 'Room not found.', 404);
+
+        logger.info(`Room ${roomIdInt} updated by admin ${req.user.id} (${columns.join(', ')}).`);
+        sendSuccess(res, rows[0]);
+    } catch (err) {
+        if (err.code === '23505') return sendError(res, 'A room with this name already exists.', 409);
+        throw err;
+    }
+}));
+
+export default router;
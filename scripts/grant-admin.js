@@ -0,0 +1,48 @@
+// scripts/grant-admin.js - Bootstrap the first administrator
+// Usage: node scripts/grant-admin.js <email> [--revoke]
+import db from '../db.js';
+import { recordAuditEvents, AUDIT_ACTIONS } from '../utils/audit.js';
+
+const [email, flag] = process.argv.slice(2);
+const isAdmin = flag !== '--revoke';
+
+async function run() {
+  if (!email) {
+    throw new Error('Usage: npm run admin:grant -- <email> [--revoke]');
+  }
+
+  return db.transaction(async (client) => {
+    const { rows } = await client.query(
+      'UPDATE users SET is_admin = $1, updated_at = NOW() WHERE email = $2 RETURNING id',
+      [isAdmin, email.toLowerCase()]
+    );
+    if (rows.length === 0) {
+      throw new Error(`No user found with email ${email}`);
+    }
+    // actorId is null: the change was made from the command line, not by a user
+    await recordAuditEvents(client, { actorId: null }, {
+      action: isAdmin ? AUDIT_ACTIONS.ADMIN_GRANTED : AUDIT_ACTIONS.ADMIN_REVOKED,
+      targetType: 'user',
+      targetId: rows[0].id,
+      after: { isAdmin },
+      metadata: { via: 'cli' },
+    });
+    return rows[0].id;
+  });
+}
+
+run()
+  .then(async (userId) => {
+    console.log(`✅ User ${userId} (${email}) admin privileges ${isAdmin ? 'granted' : 'revoked'}`);
+    await db.closePool();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Failed:', error.message);
+    try {
+      await db.closePool();
+    } catch (closeError) {
+      // Already reported by closePool
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+// scripts/migrate.js - Schema migration CLI
+// Usage: node scripts/migrate.js [up | down [steps] | status]
+import db from '../db.js';
+import { migrateUp, migrateDown, getMigrationStatus } from '../utils/migrator.js';
+
+const [command = 'up', stepsArg] = process.argv.slice(2);
+
+async function run() {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length === 0
+        ? '✅ Database schema is up to date'
+        : `✅ Applied ${applied.length} migration(s)`);
+      break;
+    }
+    case 'down': {
+      const steps = stepsArg === undefined ? 1 : parseInt(stepsArg, 10);
+      if (isNaN(steps) || steps <= 0) {
+        throw new Error('Rollback steps must be a positive integer.');
+      }
+      const reverted = await migrateDown(steps);
+      console.log(reverted.length === 0
+        ? 'ℹ️  Nothing to roll back'
+        : `✅ Rolled back ${reverted.length} migration(s)`);
+      break;
+    }
+    case 'status': {
+      const { applied, pending, missing } = await getMigrationStatus();
+      applied.forEach(m => console.log(`  [applied]  ${m.version}_${m.name} (${new Date(m.appliedAt).toISOString()})`));
+      pending.forEach(m => console.log(`  [pending]  ${m.version}_${m.name}`));
+      missing.forEach(m => console.log(`  [missing]  ${m.version}_${m.name} (applied but file not found)`));
+      console.log(`📊 ${applied.length} applied, ${pending.length} pending`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+  }
+}
+
+run()
+  .then(async () => {
+    await db.closePool();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Migration failed:', error.message);
+    try {
+      await db.closePool();
+    } catch (closeError) {
+      // Already reported by closePool
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,27 @@
+// scripts/push-worker.js - Runs the push outbox worker on its own, for deployments that start the
+// API with PUSH_WORKER_ENABLED=false. Any number can run side by side; rows are claimed with SKIP LOCKED.
+// Usage: node scripts/push-worker.js
+import db from '../db.js';
+import logger from '../utils/logger.js';
+import { startPushOutboxWorker, stopPushOutboxWorker } from '../workers/pushOutboxWorker.js';
+
+let stopping = false;
+
+const shutdown = async (signal) => {
+  if (stopping) return;
+  stopping = true;
+  logger.info(`${signal} received, stopping push worker...`);
+  try {
+    await stopPushOutboxWorker();
+    await db.closePool();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Push worker shutdown failed:', error.message);
+    process.exit(1);
+  }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startPushOutboxWorker();
@@ -3,21 +3,51 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import db from './db.js';
+import { getPendingMigrations } from './utils/migrator.js';
+import { startPushOutboxWorker, stopPushOutboxWorker } from './workers/pushOutboxWorker.js';
+import { startClassLifecycleWorker, stopClassLifecycleWorker } from './workers/classLifecycleWorker.js';
+import { startRealtimeListener, stopRealtimeListener } from './utils/realtime.js';
+import { attachRealtimeServer } from './utils/socketServer.js';
+import { isValidTimeZone, INSTITUTION_TIMEZONE } from './utils/timezone.js';
+import { checkReadiness, markShuttingDown } from './utils/health.js';
+import { renderMetrics, METRICS_CONTENT_TYPE } from './utils/metrics.js';
 
 // Import middleware
-import { protect, hocOnly } from './middleware/authMiddleware.js';
+import { protect, requireRole } from './middleware/authMiddleware.js';
+import { requestId } from './middleware/requestId.js';
+import { accessLog } from './middleware/accessLog.js';
 import { sendError } from './utils/responceHandler.js';
+import { AppError, RateLimitError, ERROR_CODES, codeForStatus } from './utils/errors.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
 import homeRoutes from './routes/homepage.js';
 import hocRoutes from './routes/HOC.js';
 import notificationRoutes from './routes/notifications.js';
+import enrollmentRoutes from './routes/enrollments.js';
+import hocRequestRoutes from './routes/hocRequests.js';
+import attendanceRoutes from './routes/attendance.js';
+import calendarRoutes from './routes/calendar.js';
+import roomRoutes from './routes/rooms.js';
+import auditRoutes from './routes/audit.js';
+import meRoutes from './routes/me.js';
+import logger from './utils/logger.js';
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
+
+// Behind a load balancer req.ip is only the client's address if the proxy is trusted,
+// e.g. TRUST_PROXY=1 for one hop. Rate limits are keyed by req.ip.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Request ids first, so every response (including CORS rejections) carries one and is access-logged
+app.use(requestId);
+app.use(accessLog);
 const PORT = process.env.PORT || 5000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
@@ -30,7 +60,7 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS
       'http://localhost:3000'
     ];
 
-console.log(`📍 Allowed CORS Origins: ${allowedOrigins.join(', ')}`);
+logger.info(`Allowed CORS Origins: ${allowedOrigins.join(', ')}`);
 
 // --- CORS Middleware ---
 app.use(cors({
@@ -39,12 +69,13 @@ app.use(cors({
     if (!origin || allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      console.warn(`⚠️  CORS blocked for origin: ${origin}`);
+      logger.warn(`CORS blocked for origin: ${origin}`);
       callback(new Error('Not allowed by CORS policy'));
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
   credentials: true,
   maxAge: 86400 // 24 hours
 }));
@@ -54,12 +85,6 @@ app.options('*', cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// --- Request Logging Middleware ---
-app.use((req, res, next) => {
-  console.log(`📝 ${req.method} ${req.path}`);
-  next();
-});
-
 // --- API Routes ---
 app.get('/', (req, res) => {
   res.status(200).json({
@@ -70,104 +95,177 @@ app.get('/', (req, res) => {
   });
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  const poolStatus = db.getPoolStatus();
-  res.status(200).json({
-    success: true,
-    message: 'Server is healthy',
+// Liveness: the process is up and serving; never touches dependencies, so a database outage
+// doesn't get every instance restarted
+app.get('/livez', (req, res) => {
+  res.status(200).json({ success: true, status: 'ok', uptime: process.uptime(), timestamp: new Date().toISOString() });
+});
+
+// Readiness: 503 while the database is unreachable or the server is shutting down
+app.get('/readyz', async (req, res) => {
+  const { ready, ...readiness } = await checkReadiness();
+  res.status(ready ? 200 : 503).json({ success: ready, ...readiness, timestamp: new Date().toISOString() });
+});
+
+// Kept for existing monitors; same checks as /readyz
+app.get('/health', async (req, res) => {
+  const { ready, ...readiness } = await checkReadiness();
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    message: ready ? 'Server is healthy' : 'Server is not ready',
+    ...readiness,
     uptime: process.uptime(),
-    database: poolStatus,
+    database: db.getPoolStatus(),
     timestamp: new Date().toISOString()
   });
 });
 
+// Prometheus scrape endpoint. Set METRICS_TOKEN to require "Authorization: Bearer <token>".
+app.get('/metrics', (req, res) => {
+  if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return sendError(res, 'Not authorized to read metrics.', 401);
+  }
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
 // Auth routes (public)
 app.use('/api/auth', authRoutes);
 
+// Calendar feed is fetched by calendar apps with a secret URL; its management endpoints use protect per route
+app.use('/api/calendar', calendarRoutes);
+
 // Protected routes (require valid JWT)
 app.use('/api/home', protect, homeRoutes);
 app.use('/api/notifications', protect, notificationRoutes);
+app.use('/api/enrollments', protect, enrollmentRoutes);
+app.use('/api/hoc-requests', protect, hocRequestRoutes);
+app.use('/api/attendance', protect, attendanceRoutes);
+app.use('/api/rooms', protect, roomRoutes);
+app.use('/api/audit', protect, auditRoutes);
+app.use('/api/me', protect, meRoutes);
 
-// HOC routes (require valid JWT + HOC privileges)
-app.use('/api/hoc', protect, hocOnly, hocRoutes);
+// HOC routes (require valid JWT + HOC role)
+app.use('/api/hoc', protect, requireRole('hoc'), hocRoutes);
 
 // --- Not Found Handler ---
 app.use((req, res) => {
-  sendError(res, `Resource not found: ${req.method} ${req.originalUrl}`, 404);
+  sendError(res, `Resource not found: ${req.method} ${req.originalUrl}`, 404, ERROR_CODES.ROUTE_NOT_FOUND);
 });
 
 // --- Global Error Handler ---
 app.use((err, req, res, next) => {
-  console.error('🔴 Global Error Handler');
-  console.error('Error Message:', err.message);
-  if (NODE_ENV !== 'production') {
-    console.error('Stack Trace:', err.stack);
+  // AppErrors are expected outcomes (not found, conflict, ...); sendError logs those on its own
+  if (!(err instanceof AppError)) {
+    // The logger only includes the stack trace outside production
+    logger.error('Request failed with an unexpected error:', err);
   }
 
   let statusCode = err.statusCode || 500;
   let errorMessage = err.message || 'Internal Server Error';
-  let errorCode = err.code || 'INTERNAL_ERROR';
+  let errorCode = null;
+  let details = null;
 
   // Handle specific error types
-  if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+  if (err instanceof AppError) {
+    errorCode = err.code;
+    details = err.details;
+    if (err instanceof RateLimitError) res.set('Retry-After', String(err.retryAfterSeconds));
+  } else if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
     statusCode = 401;
     errorMessage = 'Authentication failed. Please log in again.';
-    errorCode = 'AUTH_ERROR';
+    errorCode = err.name === 'TokenExpiredError' ? ERROR_CODES.TOKEN_EXPIRED : ERROR_CODES.TOKEN_INVALID;
   } else if (err.code === '23505') { // PostgreSQL unique violation
     statusCode = 409;
     errorMessage = 'This item already exists.';
-    errorCode = 'DUPLICATE_ENTRY';
+    errorCode = ERROR_CODES.DUPLICATE_ENTRY;
   } else if (err.code === 'ECONNREFUSED') {
     statusCode = 503;
     errorMessage = 'Service temporarily unavailable.';
-    errorCode = 'SERVICE_UNAVAILABLE';
+    errorCode = ERROR_CODES.SERVICE_UNAVAILABLE;
   } else if (err.message === 'Not allowed by CORS policy') {
     statusCode = 403;
     errorMessage = 'Access denied due to CORS policy.';
-    errorCode = 'CORS_ERROR';
+    errorCode = ERROR_CODES.CORS_ERROR;
+  } else if (err.type === 'entity.parse.failed') { // express.json() on a malformed body
+    statusCode = 400;
+    errorMessage = 'Request body is not valid JSON.';
+    errorCode = ERROR_CODES.INVALID_JSON;
   }
 
   // Ensure valid status code
   if (statusCode < 400 || statusCode > 599) {
     statusCode = 500;
   }
+  // Unexpected errors may carry SQL or internals; only AppError messages are written for users
+  if (statusCode >= 500 && !(err instanceof AppError) && NODE_ENV === 'production') {
+    errorMessage = 'Internal Server Error';
+  }
 
-  sendError(res, errorMessage, statusCode, errorCode);
+  sendError(res, errorMessage, statusCode, errorCode || codeForStatus(statusCode), details);
 });
 
 // --- Start Server Function ---
 async function startServer() {
   try {
+    // Every class time is interpreted in this zone unless the user picked their own
+    if (!isValidTimeZone(INSTITUTION_TIMEZONE)) {
+      throw new Error(`INSTITUTION_TIMEZONE "${INSTITUTION_TIMEZONE}" is not a valid IANA time zone.`);
+    }
+    logger.info(`Institution timezone: ${INSTITUTION_TIMEZONE}`);
+
     // Test database connection
-    console.log('🔌 Connecting to database...');
+    logger.info('Connecting to database...');
     await db.connectWithRetry();
-    console.log('✅ Database connection successful');
+    logger.info('Database connection successful');
+
+    // Refuse to serve traffic against an out-of-date schema
+    const pendingMigrations = await getPendingMigrations();
+    if (pendingMigrations.length > 0) {
+      logger.error(`${pendingMigrations.length} pending database migration(s)`, {
+        migrations: pendingMigrations.map(m => `${m.version}_${m.name}`),
+      });
+      throw new Error('Database schema is out of date. Run "npm run migrate" before starting the server.');
+    }
 
     // Start Express server
     const server = app.listen(PORT, () => {
-      console.log(`
-╔════════════════════════════════════╗
-║   🚀 Synapse Backend Server        ║
-║   Port: ${PORT}                       ║
-║   Environment: ${NODE_ENV}              ║
-║   Status: ✅ RUNNING                ║
-╚════════════════════════════════════╝
-      `);
+      logger.info(`Synapse Backend Server running on port ${PORT} (${NODE_ENV})`);
     });
 
+    // Realtime events: WebSocket clients on this node, fan-out between nodes via LISTEN/NOTIFY
+    await startRealtimeListener();
+    const realtimeServer = attachRealtimeServer(server);
+
+    // Background push delivery (set PUSH_WORKER_ENABLED=false and run "npm run worker:push" to move it to its own process)
+    if (process.env.PUSH_WORKER_ENABLED !== 'false') {
+      startPushOutboxWorker();
+    }
+
+    // Class status transitions and "starts soon" reminders (advisory-locked, so one instance runs each tick)
+    if (process.env.CLASS_SCHEDULER_ENABLED !== 'false') {
+      startClassLifecycleWorker();
+    }
+
     // Graceful shutdown handlers
     const gracefulShutdown = async (signal) => {
-      console.log(`\n📛 ${signal} received, shutting down gracefully...`);
+      logger.info(`${signal} received, shutting down gracefully...`);
+      markShuttingDown();
+
+      // Open sockets would otherwise keep server.close() from completing
+      realtimeServer.close();
       
       server.close(async () => {
-        console.log('✅ Server closed');
+        logger.info('Server closed');
+
+        await stopPushOutboxWorker();
+        await stopClassLifecycleWorker();
+        await stopRealtimeListener();
         
         // Close database connection
         try {
           await db.closePool();
         } catch (error) {
-          console.error('Error closing database pool:', error);
+          logger.error('Error closing database pool:', error);
         }
         
         process.exit(0);
@@ -175,7 +273,7 @@ async function startServer() {
 
       // Force shutdown after 10 seconds
       setTimeout(() => {
-        console.error('❌ Forced shutdown after timeout');
+        logger.error('Forced shutdown after timeout');
         process.exit(1);
       }, 10000);
     };
@@ -184,19 +282,17 @@ async function startServer() {
     process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
     process.on('uncaughtException', (error) => {
-      console.error('🔴 Uncaught Exception:', error);
+      logger.error('Uncaught Exception:', error);
       process.exit(1);
     });
 
-    process.on('unhandledRejection', (reason, promise) => {
-      console.error('🔴 Unhandled Rejection at:', promise);
-      console.error('Reason:', reason);
+    process.on('unhandledRejection', (reason) => {
+      logger.error('Unhandled Rejection:', reason instanceof Error ? reason : { reason: String(reason) });
       process.exit(1);
     });
 
   } catch (error) {
-    console.error('🔴 FATAL: Server startup failed');
-    console.error('Error:', error.message);
+    logger.error('FATAL: Server startup failed:', error.message);
     process.exit(1);
   }
 }
@@ -0,0 +1,43 @@
+// test/csv.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../utils/csv.js';
+
+test('quoted fields keep embedded commas, quotes and newlines', () => {
+  const text = 'email,note\r\na@example.com,"Line one\nline two"\r\nb@example.com,"Says ""hi"", then leaves"\r\n';
+  assert.deepEqual(parseCsv(text), [
+    ['email', 'note'],
+    ['a@example.com', 'Line one\nline two'],
+    ['b@example.com', 'Says "hi", then leaves'],
+  ]);
+});
+
+test('a leading byte order mark is dropped', () => {
+  assert.deepEqual(parseCsv('\uFEFFemail\nA@example.com'), [['email'], ['A@example.com']]);
+});
+
+test('blank lines are skipped and a missing final newline is fine', () => {
+  assert.deepEqual(parseCsv('a,b\n\n  \r\nc,d'), [['a', 'b'], ['c', 'd']]);
+});
+
+test('cells that spreadsheets would run as formulas are escaped', () => {
+  const columns = [{ key: 'name', header: 'Name' }, { key: 'note', header: 'Note' }];
+  const csv = toCsv(columns, [
+    { name: '=HYPERLINK("http://x")', note: '+1' },
+    { name: '@SUM(A1)', note: '-2' },
+  ]);
+  assert.equal(csv, 'Name,Note\r\n"\'=HYPERLINK(""http://x"")",\'+1\r\n\'@SUM(A1),\'-2\r\n');
+});
+
+test('toCsv output parses back to the same cells', () => {
+  const columns = [{ key: 'email', header: 'Email' }, { key: 'name', header: 'Name' }, { key: 'at', header: 'At' }];
+  const csv = toCsv(columns, [
+    { email: 'a@example.com', name: 'Doe, "Jay"\nJr', at: new Date('2026-03-02T09:00:00Z') },
+    { email: 'b@example.com', name: null, at: undefined },
+  ]);
+  assert.deepEqual(parseCsv(csv), [
+    ['Email', 'Name', 'At'],
+    ['a@example.com', 'Doe, "Jay"\nJr', '2026-03-02T09:00:00.000Z'],
+    ['b@example.com', '', ''],
+  ]);
+});
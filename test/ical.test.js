@@ -0,0 +1,57 @@
+// test/ical.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildClassCalendar, classEventUid } from '../utils/ical.js';
+
+const baseClass = {
+  id: 42,
+  class_name: 'Algebra',
+  subject: 'Mathematics',
+  instructor: null,
+  location: null,
+  start_time: '2026-03-02T09:00:00Z',
+  duration_minutes: 60,
+  status: 'scheduled',
+  updated_at: '2026-02-20T12:00:00Z',
+  calendar_sequence: 0,
+};
+
+const build = (classes) => buildClassCalendar({ name: 'Timetable', classes, generatedAt: new Date('2026-03-01T00:00:00Z') });
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+const property = (ics, name) => unfold(ics).split('\r\n').find(line => line.startsWith(`${name}:`));
+
+test('long lines fold at 75 octets without splitting multi-byte characters', () => {
+  const className = 'Équations différentielles — 数学と物理の応用 '.repeat(4).trim();
+  const ics = build([{ ...baseClass, class_name: className }]);
+
+  const lines = ics.split('\r\n');
+  assert.ok(lines.some(line => line.startsWith(' ')), 'expected the summary to be folded');
+  lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, `line is ${Buffer.byteLength(line)} octets: ${line}`));
+  assert.equal(property(ics, 'SUMMARY'), `SUMMARY:${className}`);
+});
+
+test('commas, semicolons, backslashes and newlines in text are escaped', () => {
+  const ics = build([{ ...baseClass, location: 'Hall A; Room 2, East\\Wing', instructor: 'Dr. Obi' }]);
+  assert.equal(property(ics, 'LOCATION'), 'LOCATION:Hall A\\; Room 2\\, East\\\\Wing');
+  assert.equal(property(ics, 'DESCRIPTION'), 'DESCRIPTION:Subject: Mathematics\\nInstructor: Dr. Obi');
+});
+
+test('a rescheduled class keeps its UID and bumps SEQUENCE', () => {
+  const before = build([baseClass]);
+  const after = build([{
+    ...baseClass,
+    start_time: '2026-03-03T14:30:00Z',
+    status: 'rescheduled',
+    updated_at: '2026-02-25T08:00:00Z',
+    calendar_sequence: 1,
+  }]);
+
+  assert.equal(property(before, 'UID'), `UID:${classEventUid(42)}`);
+  assert.equal(property(after, 'UID'), property(before, 'UID'));
+  assert.equal(property(before, 'SEQUENCE'), 'SEQUENCE:0');
+  assert.equal(property(after, 'SEQUENCE'), 'SEQUENCE:1');
+  assert.equal(property(after, 'DTSTART'), 'DTSTART:20260303T143000Z');
+  assert.equal(property(after, 'DTEND'), 'DTEND:20260303T153000Z');
+  assert.equal(property(after, 'LAST-MODIFIED'), 'LAST-MODIFIED:20260225T080000Z');
+  assert.equal(property(after, 'DTSTAMP'), 'DTSTAMP:20260301T000000Z');
+});
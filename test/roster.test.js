@@ -0,0 +1,83 @@
+// test/roster.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRosterCsv, planRosterImport } from '../utils/roster.js';
+
+// Stands in for a transaction client; answers the user lookup from a list of users
+const fakeClient = (users) => ({
+  query: async (sql, [emails]) => ({
+    rows: users.filter(user => emails.includes(user.email.toLowerCase())),
+  }),
+});
+
+const user = (id, email, fullName, { enrolled = false, waitlisted = false } = {}) => ({
+  id, email, full_name: fullName, is_enrolled: enrolled, is_waitlisted: waitlisted,
+});
+
+test('a header row picks the email and name columns by name', () => {
+  const { entries, invalid } = parseRosterCsv('\uFEFFStudent Name,Email Address\r\nAda Obi, ADA@Example.com \r\nNo Email,\r\n');
+  assert.deepEqual(entries, [{ row: 2, email: 'ada@example.com', name: 'Ada Obi' }]);
+  assert.deepEqual(invalid, [{ row: 3, value: '', reason: 'Missing email address.' }]);
+});
+
+test('without a header row the first column is the email and the second the name', () => {
+  const { entries, invalid } = parseRosterCsv('ada@example.com,Ada Obi\nnot-an-email\nben@example.com\n');
+  assert.deepEqual(entries, [
+    { row: 1, email: 'ada@example.com', name: 'Ada Obi' },
+    { row: 3, email: 'ben@example.com', name: null },
+  ]);
+  assert.deepEqual(invalid, [{ row: 2, value: 'not-an-email', reason: 'Invalid email address.' }]);
+});
+
+test('a quoted name spanning lines stays on its own row', () => {
+  const { entries } = parseRosterCsv('email,name\n"ada@example.com","Ada\nObi"\nben@example.com,Ben\n');
+  assert.deepEqual(entries.map(e => [e.row, e.email]), [[2, 'ada@example.com'], [3, 'ben@example.com']]);
+});
+
+test('the plan reports duplicates against their first row and fills seats in file order', async () => {
+  const client = fakeClient([
+    user(1, 'ada@example.com', 'Ada Obi'),
+    user(2, 'ben@example.com', 'Ben Ike'),
+    user(3, 'cy@example.com', 'Cy Eze', { enrolled: true }),
+    user(4, 'dee@example.com', 'Dee Uche', { waitlisted: true }),
+    user(5, 'eve@example.com', 'Eve Nwosu'),
+  ]);
+  const { entries } = parseRosterCsv([
+    'email,name',
+    'ben@example.com,Ben Ike',
+    'ada@example.com,Someone Else',
+    'BEN@example.com,Ben Ike',
+    'cy@example.com,',
+    'ghost@example.com,Nobody',
+    'dee@example.com,',
+    'eve@example.com,',
+  ].join('\n'));
+
+  const plan = await planRosterImport(client, { id: 7, max_students: 3, enrolledCount: 2 }, entries);
+
+  assert.deepEqual(plan.duplicates, [{ row: 4, email: 'ben@example.com', firstRow: 2 }]);
+  assert.deepEqual(plan.unknownEmails, [{ row: 6, email: 'ghost@example.com', name: 'Nobody' }]);
+  assert.deepEqual(plan.alreadyEnrolled.map(m => m.userId), [3]);
+  assert.deepEqual(plan.alreadyWaitlisted.map(m => m.userId), [4]);
+  assert.deepEqual(plan.matched.map(m => [m.userId, m.nameMismatch]), [[2, false], [1, true], [5, false]]);
+  assert.deepEqual(plan.toEnroll.map(m => m.userId), [2]);
+  assert.deepEqual(plan.capacity, {
+    maxStudents: 3,
+    enrolledCount: 2,
+    available: 1,
+    toEnroll: 1,
+    overflow: [
+      { row: 3, email: 'ada@example.com', userId: 1 },
+      { row: 8, email: 'eve@example.com', userId: 5 },
+    ],
+  });
+});
+
+test('an over-full class waitlists every match', async () => {
+  const client = fakeClient([user(1, 'ada@example.com', 'Ada Obi')]);
+  const plan = await planRosterImport(client, { id: 7, max_students: 2, enrolledCount: 3 },
+    [{ row: 1, email: 'ada@example.com', name: null }]);
+  assert.equal(plan.capacity.available, 0);
+  assert.deepEqual(plan.toEnroll, []);
+  assert.deepEqual(plan.toWaitlist.map(m => m.userId), [1]);
+});
@@ -0,0 +1,34 @@
+// test/schedule.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateWeeklyOccurrences, rescheduleOccurrences } from '../utils/schedule.js';
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+test('weekly occurrences keep their wall-clock time across a DST change', () => {
+  const occurrences = generateWeeklyOccurrences({
+    weekdays: [1], time: '09:00', startDate: '2026-03-02', endDate: '2026-03-16', timeZone: 'America/New_York',
+  });
+  assert.deepEqual(iso(occurrences), ['2026-03-02T14:00:00.000Z', '2026-03-09T13:00:00.000Z', '2026-03-16T13:00:00.000Z']);
+});
+
+test('moving following occurrences keeps the new local time on both sides of DST', () => {
+  // Mondays 09:00 New York, straddling the 8 March change; the first moves to 10:30 the same day
+  const current = [new Date('2026-03-02T14:00:00Z'), new Date('2026-03-09T13:00:00Z'), new Date('2026-03-16T13:00:00Z')];
+  const moved = rescheduleOccurrences(current, current[0], new Date('2026-03-02T15:30:00Z'), 'America/New_York');
+  assert.deepEqual(iso(moved), ['2026-03-02T15:30:00.000Z', '2026-03-09T14:30:00.000Z', '2026-03-16T14:30:00.000Z']);
+});
+
+test('moving following occurrences applies the same day shift to each', () => {
+  // Thursdays 18:00 Berlin across the October change, moved to the next day (Friday) at 08:00
+  const current = [new Date('2026-10-22T16:00:00Z'), new Date('2026-10-29T17:00:00Z')];
+  const moved = rescheduleOccurrences(current, current[0], new Date('2026-10-23T06:00:00Z'), 'Europe/Berlin');
+  assert.deepEqual(iso(moved), ['2026-10-23T06:00:00.000Z', '2026-10-30T07:00:00.000Z']);
+});
+
+test('a following occurrence whose new time falls in a DST gap moves past the gap', () => {
+  // Sundays 09:00 Sydney, moved to 02:30, which doesn't exist on 4 October 2026
+  const current = [new Date('2026-09-26T23:00:00Z'), new Date('2026-10-03T23:00:00Z')];
+  const moved = rescheduleOccurrences(current, current[0], new Date('2026-09-26T16:30:00Z'), 'Australia/Sydney');
+  assert.deepEqual(iso(moved), ['2026-09-26T16:30:00.000Z', '2026-10-03T16:30:00.000Z']);
+});
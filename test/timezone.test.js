@@ -0,0 +1,62 @@
+// test/timezone.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  zonedDateTimeToUtc,
+  getTimeZoneOffsetMinutes,
+  getZonedDayBounds,
+  toZonedIsoString,
+} from '../utils/timezone.js';
+
+const utc = (date, time, timeZone) => zonedDateTimeToUtc(date, time, timeZone)?.toISOString();
+
+test('converts ordinary wall-clock times on both sides of UTC', () => {
+  assert.equal(utc('2026-01-15', '09:30', 'America/New_York'), '2026-01-15T14:30:00.000Z');
+  assert.equal(utc('2026-07-15', '09:30', 'America/New_York'), '2026-07-15T13:30:00.000Z');
+  assert.equal(utc('2026-01-15', '09:30', 'Europe/Berlin'), '2026-01-15T08:30:00.000Z');
+  assert.equal(utc('2026-07-15', '09:30', 'Australia/Sydney'), '2026-07-14T23:30:00.000Z');
+  assert.equal(utc('2026-03-02', '08:00', 'UTC'), '2026-03-02T08:00:00.000Z');
+});
+
+test('shifts times in a spring-forward gap later by the size of the jump', () => {
+  // 02:30 doesn't exist on these dates; it reads as 03:30 daylight time
+  assert.equal(utc('2026-03-08', '02:30', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+  assert.equal(utc('2026-03-29', '02:30', 'Europe/Berlin'), '2026-03-29T01:30:00.000Z');
+  assert.equal(utc('2026-10-04', '02:30', 'Australia/Sydney'), '2026-10-03T16:30:00.000Z');
+  assert.equal(toZonedIsoString(utc('2026-03-08', '02:30', 'America/New_York'), 'America/New_York'), '2026-03-08T03:30:00-04:00');
+});
+
+test('resolves times in a repeated hour to the later, standard-time instant', () => {
+  assert.equal(utc('2026-11-01', '01:30', 'America/New_York'), '2026-11-01T06:30:00.000Z');
+  assert.equal(utc('2026-10-25', '02:30', 'Europe/Berlin'), '2026-10-25T01:30:00.000Z');
+  assert.equal(utc('2026-04-05', '02:30', 'Australia/Sydney'), '2026-04-04T16:30:00.000Z');
+});
+
+test('keeps times just outside a transition on their own side of it', () => {
+  assert.equal(utc('2026-03-08', '01:59', 'America/New_York'), '2026-03-08T06:59:00.000Z');
+  assert.equal(utc('2026-03-08', '03:00', 'America/New_York'), '2026-03-08T07:00:00.000Z');
+  assert.equal(utc('2026-11-01', '00:59', 'America/New_York'), '2026-11-01T04:59:00.000Z');
+  assert.equal(utc('2026-11-01', '02:00', 'America/New_York'), '2026-11-01T07:00:00.000Z');
+});
+
+test('rejects dates and times that do not parse', () => {
+  assert.equal(zonedDateTimeToUtc('2026-13-01', '09:00', 'UTC'), null);
+  assert.equal(zonedDateTimeToUtc('2026-01-01', '25:00', 'UTC'), null);
+});
+
+test('reports the zone offset in minutes', () => {
+  assert.equal(getTimeZoneOffsetMinutes(new Date('2026-01-15T12:00:00Z'), 'Europe/Berlin'), 60);
+  assert.equal(getTimeZoneOffsetMinutes(new Date('2026-07-15T12:00:00Z'), 'America/New_York'), -240);
+  assert.equal(getTimeZoneOffsetMinutes(new Date('2026-01-15T12:00:00Z'), 'Asia/Kolkata'), 330);
+});
+
+test('gives 23- and 25-hour day bounds on transition days', () => {
+  const spring = getZonedDayBounds(new Date('2026-03-08T12:00:00Z'), 'America/New_York');
+  assert.equal(spring.date, '2026-03-08');
+  assert.equal(spring.start.toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(spring.end - spring.start, 23 * 60 * 60 * 1000);
+
+  const autumn = getZonedDayBounds(new Date('2026-10-25T12:00:00Z'), 'Europe/Berlin');
+  assert.equal(autumn.start.toISOString(), '2026-10-24T22:00:00.000Z');
+  assert.equal(autumn.end - autumn.start, 25 * 60 * 60 * 1000);
+});
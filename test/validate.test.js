@@ -0,0 +1,85 @@
+// test/validate.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate } from '../middleware/validate.js';
+import { boolean, dateTime, integer, string, validateShape } from '../utils/schema.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Runs the middleware on a fake request, returning the request and whatever was passed to next()
+const run = (middleware, req) => {
+  let nextArg;
+  middleware(req, {}, (arg) => { nextArg = arg; });
+  return { req, error: nextArg };
+};
+
+test('query strings are coerced to numbers and booleans', () => {
+  const { req, error } = run(
+    validate({ query: { limit: integer({ min: 1, max: 100 }), upcoming: boolean() } }),
+    { query: { limit: '25', upcoming: 'false' } },
+  );
+  assert.equal(error, undefined);
+  assert.deepEqual(req.query, { limit: 25, upcoming: false });
+});
+
+test('values that only look numeric are not coerced', () => {
+  const { errors } = validateShape({ limit: integer() }, { limit: '2.5' });
+  assert.deepEqual(errors, [{ field: 'limit', message: 'limit must be a whole number.' }]);
+});
+
+test('unknown fields are rejected unless the location allows them', () => {
+  const shapes = { body: { title: string() } };
+  const { error } = run(validate(shapes), { body: { title: 'Algebra', role: 'hoc' } });
+  assert.ok(error instanceof ValidationError);
+  assert.equal(error.statusCode, 400);
+  assert.deepEqual(error.details.fields, [
+    { location: 'body', field: 'role', message: 'role is not an allowed field.' },
+  ]);
+
+  const { req, error: allowed } = run(validate(shapes, { allowUnknown: ['body'] }), { body: { title: 'Algebra', role: 'hoc' } });
+  assert.equal(allowed, undefined);
+  assert.deepEqual(req.body, { title: 'Algebra', role: 'hoc' });
+});
+
+test('inherited property names are not treated as declared fields', () => {
+  const { errors } = validateShape({ title: string() }, JSON.parse('{"title":"Algebra","constructor":"x","toString":"y"}'));
+  assert.deepEqual(errors.map(error => error.field), ['constructor', 'toString']);
+});
+
+test('defaults fill omitted fields, optional ones are left out and nullable ones keep null', () => {
+  const shape = {
+    limit: integer({ default: 20 }),
+    room: string({ optional: true }),
+    note: string({ nullable: true }),
+  };
+  assert.deepEqual(validateShape(shape, { limit: '', note: null }), { value: { limit: 20, note: null }, errors: [] });
+
+  const { errors } = validateShape({ note: string() }, { note: null });
+  assert.deepEqual(errors, [{ field: 'note', message: 'note must not be null.' }]);
+});
+
+test('missing required fields are all reported together', () => {
+  const { error } = run(
+    validate({ params: { id: integer({ min: 1 }) }, body: { title: string() } }),
+    { params: { id: '0' }, body: {} },
+  );
+  assert.deepEqual(error.details.fields, [
+    { location: 'params', field: 'id', message: 'id must be at least 1.' },
+    { location: 'body', field: 'title', message: 'title is required.' },
+  ]);
+  assert.equal(error.message, 'id must be at least 1. title is required.');
+});
+
+test('dateTime accepts wall-clock times and offset timestamps', () => {
+  const shape = { startsAt: dateTime() };
+  for (const input of ['2026-03-02 09:00', '2026-03-02T09:00', '2026-03-02T09:00:00Z', '2026-03-02T09:00:00+01:00']) {
+    assert.deepEqual(validateShape(shape, { startsAt: ` ${input} ` }), { value: { startsAt: input }, errors: [] });
+  }
+});
+
+test('dateTime rejects impossible dates and timestamps without an offset', () => {
+  const shape = { startsAt: dateTime() };
+  assert.equal(validateShape(shape, { startsAt: '2026-02-30 09:00' }).errors[0].message,
+    'startsAt is not a valid date and time.');
+  assert.equal(validateShape(shape, { startsAt: '2026-03-02T09:00:00.000' }).errors[0].message,
+    'startsAt must be "YYYY-MM-DD HH:MM" or an ISO 8601 timestamp with an offset.');
+});
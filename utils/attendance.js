@@ -0,0 +1,64 @@
+// utils/attendance.js
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const ATTENDANCE_STATUSES = ['present', 'late', 'excused', 'absent'];
+
+// How often the check-in code changes. The previous code stays valid for one extra period
+// so students who read it just before a rotation are not rejected.
+export const CHECKIN_CODE_PERIOD_SECONDS = parseInt(process.env.CHECKIN_CODE_PERIOD_SECONDS, 10) || 30;
+const CODE_DIGITS = 6;
+
+export const generateCodeSecret = () => crypto.randomBytes(32).toString('hex');
+
+const codeForStep = (secret, step) => {
+    const digest = crypto.createHmac('sha256', secret).update(String(step)).digest();
+    // Dynamic truncation as in RFC 4226
+    const offset = digest[digest.length - 1] & 0x0f;
+    const value = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / CHECKIN_CODE_PERIOD_SECONDS);
+
+/**
+ * Returns the code students should enter right now and when it rotates.
+ */
+export const getCurrentCheckInCode = (secret, now = Date.now()) => {
+    const step = currentStep(now);
+    return {
+        code: codeForStep(secret, step),
+        expiresAt: new Date((step + 1) * CHECKIN_CODE_PERIOD_SECONDS * 1000).toISOString(),
+    };
+};
+
+/**
+ * Checks a submitted code against the current and previous period.
+ */
+export const verifyCheckInCode = (secret, code, now = Date.now()) => {
+    if (typeof code !== 'string' || code.length !== CODE_DIGITS || !/^\d+$/.test(code)) return false;
+    const step = currentStep(now);
+    return [step, step - 1].some(s => crypto.timingSafeEqual(Buffer.from(codeForStep(secret, s)), Buffer.from(code)));
+};
+
+/**
+ * Payload the HOC app renders as a QR code; the student app scans it and posts it to /check-in.
+ */
+export const buildCheckInQrPayload = (classId, code) => `synapse://check-in?classId=${classId}&code=${code}`;
+
+/**
+ * Counts rows by attendance status and computes the attendance rate (present + late over
+ * all non-excused classes, as a percentage with one decimal). Rate is null when nothing counts.
+ * @param {Array<{status: string}>} rows
+ */
+export const summarizeAttendance = (rows) => {
+    const summary = Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, 0]));
+    rows.forEach(row => { summary[row.status]++; });
+    const countable = rows.length - summary.excused;
+    const attendanceRate = countable > 0
+        ? Math.round(((summary.present + summary.late) / countable) * 1000) / 10
+        : null;
+    return { summary, attendanceRate };
+};
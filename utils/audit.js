@@ -0,0 +1,104 @@
+// utils/audit.js - Append-only audit trail of HOC actions and account changes (audit_events, migration 0017)
+import { pool } from '../db.js';
+
+/**
+ * Action names stored in audit_events.action. Clients filter on these, so never rename one.
+ */
+export const AUDIT_ACTIONS = Object.freeze({
+    CLASS_CREATED: 'class.created',
+    CLASS_CANCELLED: 'class.cancelled',
+    CLASS_RESCHEDULED: 'class.rescheduled',
+    SERIES_CREATED: 'series.created',
+    ROSTER_IMPORTED: 'roster.imported',
+    ATTENDANCE_WINDOW_OPENED: 'attendance.window_opened',
+    ATTENDANCE_WINDOW_CLOSED: 'attendance.window_closed',
+    ATTENDANCE_OVERRIDDEN: 'attendance.overridden',
+    NOTIFICATION_BROADCAST: 'notification.broadcast',
+    NOTIFICATION_CLASS_SENT: 'notification.class_sent',
+    HOC_REQUESTED: 'hoc.requested',
+    HOC_APPROVED: 'hoc.approved',
+    HOC_REJECTED: 'hoc.rejected',
+    HOC_REVOKED: 'hoc.revoked',
+    ADMIN_GRANTED: 'admin.granted',
+    ADMIN_REVOKED: 'admin.revoked',
+    PASSWORD_CHANGED: 'account.password_changed',
+    PASSWORD_RESET: 'account.password_reset',
+    PROFILE_UPDATED: 'account.profile_updated',
+    EMAIL_CHANGED: 'account.email_changed',
+    ACCOUNT_DELETED: 'account.deleted',
+});
+
+/**
+ * Who made a change and from where. req.id comes from middleware/requestId.js.
+ */
+export const getAuditContext = (req) => ({
+    actorId: req.user?.id ?? null,
+    ipAddress: req.ip ?? null,
+    requestId: req.id ?? null,
+});
+
+/**
+ * Appends one or more audit events. Pass the transaction client of the change itself so the
+ * event is only kept if the change commits.
+ * @param {object} db - Transaction client (or pool for changes that aren't transactional)
+ * @param {object} context - { actorId, ipAddress, requestId }, usually from getAuditContext
+ * @param {object|object[]} events - { action, targetType, targetId, before, after, metadata }
+ */
+export async function recordAuditEvents(db, context, events) {
+    const list = (Array.isArray(events) ? events : [events]).map(event => ({
+        action: event.action,
+        target_type: event.targetType,
+        target_id: event.targetId ?? null,
+        before: event.before ?? null,
+        after: event.after ?? null,
+        metadata: event.metadata ?? {},
+    }));
+    if (list.length === 0) return;
+
+    await db.query(`
+        INSERT INTO audit_events (actor_id, action, target_type, target_id, before, after, metadata, ip_address, request_id, created_at)
+        SELECT $1, e.action, e.target_type, e.target_id, e.before, e.after, e.metadata, $2, $3, NOW()
+        FROM jsonb_to_recordset($4::jsonb)
+             AS e(action TEXT, target_type TEXT, target_id INTEGER, before JSONB, after JSONB, metadata JSONB)`,
+        [context.actorId ?? null, context.ipAddress ?? null, context.requestId ?? null, JSON.stringify(list)]);
+}
+
+const AUDIT_COLUMNS = `
+    a.id, a.actor_id as "actorId", actor.full_name as "actorName", a.action,
+    a.target_type as "targetType", a.target_id as "targetId", a.before, a.after, a.metadata,
+    a.ip_address as "ipAddress", a.request_id as "requestId", a.created_at as "createdAt"`;
+
+/**
+ * Lists audit events newest first, filtered by any of
+ * { actorId, action, targetType, targetId, since, until } and paged by id (beforeId = last id seen).
+ * @returns {Promise<object>} - { events, nextBeforeId }
+ */
+export async function searchAuditEvents(filters, { limit, beforeId } = {}) {
+    const params = [];
+    const conditions = [];
+    const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.actorId !== undefined) add('a.actor_id = ?', filters.actorId);
+    if (filters.action) add('a.action = ?', filters.action);
+    if (filters.targetType) add('a.target_type = ?', filters.targetType);
+    if (filters.targetId !== undefined) add('a.target_id = ?', filters.targetId);
+    if (filters.since) add('a.created_at >= ?::timestamptz', filters.since);
+    if (filters.until) add('a.created_at < ?::timestamptz', filters.until);
+    if (beforeId) add('a.id < ?', beforeId);
+
+    // Fetch one extra row to know whether another page exists
+    params.push(limit + 1);
+    const { rows } = await pool.query(`
+        SELECT ${AUDIT_COLUMNS}
+        FROM audit_events a
+        LEFT JOIN users actor ON actor.id = a.actor_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY a.id DESC
+        LIMIT $${params.length}`, params);
+
+    const events = rows.slice(0, limit);
+    return { events, nextBeforeId: rows.length > limit ? events[events.length - 1].id : null };
+}
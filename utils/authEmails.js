@@ -0,0 +1,68 @@
+// utils/authEmails.js
+import dotenv from 'dotenv';
+import { sendMail } from './mailer.js';
+import { TOKEN_TTL_MINUTES } from './userTokens.js';
+
+dotenv.config();
+
+// Base URL of the app/web page that handles the links (deep link scheme or https URL)
+const APP_URL = (process.env.APP_URL || 'synapse://').replace(/\/$/, '');
+
+const buildLink = (pathName, token) => `${APP_URL}/${pathName}?token=${encodeURIComponent(token)}`;
+
+/**
+ * Sends the verify-email message for a newly created (or unverified) account.
+ */
+export const sendVerificationEmail = async ({ email, fullName }, token) => {
+    const link = buildLink('verify-email', token);
+    const hours = TOKEN_TTL_MINUTES.verify_email / 60;
+    return sendMail({
+        to: email,
+        subject: 'Verify your Synapse email address',
+        text: `Hi ${fullName},\n\nConfirm your email address by opening the link below:\n${link}\n\n` +
+            `Or enter this code in the app: ${token}\n\nThis link expires in ${hours} hours.`,
+        secrets: [token],
+    });
+};
+
+/**
+ * Sends the confirmation link for an email change to the new address.
+ */
+export const sendEmailChangeConfirmation = async ({ newEmail, fullName }, token) => {
+    const link = buildLink('confirm-email-change', token);
+    const hours = TOKEN_TTL_MINUTES.change_email / 60;
+    return sendMail({
+        to: newEmail,
+        subject: 'Confirm your new Synapse email address',
+        text: `Hi ${fullName},\n\nOpen the link below to use this address for your Synapse account:\n${link}\n\n` +
+            `Or enter this code in the app: ${token}\n\nThis link expires in ${hours} hours. ` +
+            'If you did not ask for this change, you can ignore this email.',
+        secrets: [token],
+    });
+};
+
+/**
+ * Tells the current address that a change to another address was requested.
+ */
+export const sendEmailChangeNotice = async ({ email, fullName }) => sendMail({
+    to: email,
+    subject: 'Your Synapse email address is being changed',
+    text: `Hi ${fullName},\n\nSomeone signed in to your account asked to move it to a new email address. ` +
+        'The change only happens once the new address is confirmed.\n\n' +
+        'If this was not you, change your password now and log out of all devices.',
+});
+
+/**
+ * Sends the password reset message.
+ */
+export const sendPasswordResetEmail = async ({ email, fullName }, token) => {
+    const link = buildLink('reset-password', token);
+    return sendMail({
+        to: email,
+        subject: 'Reset your Synapse password',
+        text: `Hi ${fullName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\n` +
+            `Or enter this code in the app: ${token}\n\nThis link expires in ${TOKEN_TTL_MINUTES.reset_password} minutes. ` +
+            'If you did not request a reset, you can ignore this email.',
+        secrets: [token],
+    });
+};
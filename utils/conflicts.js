@@ -0,0 +1,85 @@
+// utils/conflicts.js - Room / HOC double-booking checks (enforced by constraints in migration 0013)
+import { sendError } from './responceHandler.js';
+import { ERROR_CODES } from './errors.js';
+
+const CONFLICT_CONSTRAINTS = ['classes_no_room_overlap', 'classes_no_hoc_overlap'];
+
+/**
+ * True if a query failed because it would double-book a room or HOC (exclusion_violation).
+ */
+export const isScheduleConflictError = (error) =>
+    error?.code === '23P01' && CONFLICT_CONSTRAINTS.includes(error.constraint);
+
+/**
+ * Lists live classes that overlap any of the proposed time slots, either in the same room
+ * or taught by the same HOC. Mirrors the database constraints, so an empty result means the
+ * proposals will be accepted (unless another request books the slot first).
+ * @param {object} db - pool or transaction client
+ * @param {Array<{startTime: Date, durationMinutes: number, location: string}>} proposals
+ * @param {object} options - { hocId, excludeClassIds: ids being moved, which can't conflict with themselves }
+ * @returns {Promise<object[]>} - [{ classId, className, startTime, durationMinutes, location, hocId, reasons: ['room'|'hoc'], proposedStartTime }]
+ */
+export const findClassConflicts = async (db, proposals, { hocId, excludeClassIds = [] }) => {
+    if (proposals.length === 0) return [];
+    const { rows } = await db.query(`
+        SELECT DISTINCT ON (c.id)
+            c.id as "classId", c.class_name as "className", c.start_time as "startTime",
+            c.duration_minutes as "durationMinutes", c.location, c.hoc_id as "hocId",
+            array_remove(ARRAY[
+                CASE WHEN normalize_location(c.location) = normalize_location(p.location) THEN 'room' END,
+                CASE WHEN c.hoc_id = $4 THEN 'hoc' END
+            ], NULL) as reasons,
+            p.start_time as "proposedStartTime"
+        FROM unnest($1::timestamptz[], $2::int[], $3::text[]) AS p(start_time, duration_minutes, location)
+        JOIN classes c
+          ON c.status <> 'cancelled'
+         AND NOT (c.id = ANY($5::int[]))
+         AND class_time_range(c.start_time, c.duration_minutes) && class_time_range(p.start_time, p.duration_minutes)
+         AND (c.hoc_id = $4 OR normalize_location(c.location) = normalize_location(p.location))
+        ORDER BY c.id, p.start_time`,
+        [
+            proposals.map(p => p.startTime),
+            proposals.map(p => p.durationMinutes),
+            proposals.map(p => p.location),
+            hocId,
+            excludeClassIds,
+        ]);
+    return rows.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+};
+
+/**
+ * Sends the 409 response for a double-booking, listing the conflicting classes.
+ */
+export const sendScheduleConflict = (res, conflicts) => {
+    const message = conflicts.length > 0
+        ? `This time overlaps ${conflicts.length} existing class(es).`
+        : 'This time overlaps another class that was just booked. Please try again.';
+    // The conflicting classes go in details so the app can show them
+    sendError(res, message, 409, ERROR_CODES.SCHEDULE_CONFLICT, { conflicts });
+};
+
+/**
+ * Finds the gaps of at least minMinutes between busy intervals inside [dayStart, dayEnd).
+ * @param {Array<{start: Date, end: Date}>} busy - may overlap and be unsorted
+ * @returns {Array<{start: Date, end: Date, durationMinutes: number}>}
+ */
+export const computeFreeSlots = (busy, dayStart, dayEnd, minMinutes) => {
+    const sorted = busy
+        .map(b => ({ start: new Date(b.start), end: new Date(b.end) }))
+        .sort((a, b) => a.start - b.start);
+
+    const slots = [];
+    let cursor = new Date(dayStart);
+    const pushSlot = (end) => {
+        const minutes = Math.floor((end - cursor) / 60000);
+        if (minutes >= minMinutes) slots.push({ start: cursor, end, durationMinutes: minutes });
+    };
+    for (const interval of sorted) {
+        if (interval.end <= cursor) continue;
+        if (interval.start >= dayEnd) break;
+        if (interval.start > cursor) pushSlot(interval.start);
+        cursor = interval.end;
+    }
+    if (cursor < dayEnd) pushSlot(new Date(dayEnd));
+    return slots;
+};
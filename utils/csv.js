@@ -0,0 +1,78 @@
+// utils/csv.js - Small RFC 4180 reader/writer (quoted fields, embedded commas, quotes and newlines)
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings). Blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, ''); // Excel adds a BOM to UTF-8 exports
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+};
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows of objects to CSV using the given columns.
+ * @param {Array<{key: string, header: string}>} columns
+ * @param {object[]} rows
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) => {
+    const lines = [columns.map(c => formatCell(c.header)).join(',')];
+    rows.forEach(row => lines.push(columns.map(c => formatCell(row[c.key])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Sends CSV as a file download.
+ */
+export const sendCsv = (res, filename, csv) => {
+    res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`,
+    });
+    res.send(csv);
+};
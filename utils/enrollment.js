@@ -0,0 +1,96 @@
+// utils/enrollment.js
+import logger from './logger.js';
+
+export const DEFAULT_MAX_STUDENTS = 30;
+
+/**
+ * Locks a class row for the rest of the caller's transaction and returns it
+ * together with its current enrollment count. Returns null if the class does not exist.
+ * Must be called with a client obtained from db.transaction().
+ */
+export const lockClassForEnrollment = async (client, classId) => {
+    const classResult = await client.query(
+        `SELECT id, class_name, hoc_id, status, COALESCE(max_students, $2) as max_students
+         FROM classes WHERE id = $1 FOR UPDATE`,
+        [classId, DEFAULT_MAX_STUDENTS]
+    );
+    if (classResult.rowCount === 0) return null;
+
+    const countResult = await client.query(
+        'SELECT COUNT(*)::int as count FROM enrollments WHERE class_id = $1',
+        [classId]
+    );
+    return { ...classResult.rows[0], enrolledCount: countResult.rows[0].count };
+};
+
+/**
+ * Fills any open seats in a locked class from the head of its waitlist.
+ * Returns the ids of the promoted students, in waitlist order.
+ */
+export const promoteFromWaitlist = async (client, classInfo) => {
+    const openSeats = classInfo.max_students - classInfo.enrolledCount;
+    if (openSeats <= 0) return [];
+
+    const { rows } = await client.query(`
+        SELECT id, student_id FROM class_waitlist
+        WHERE class_id = $1
+        ORDER BY created_at ASC, id ASC
+        LIMIT $2`, [classInfo.id, openSeats]);
+    if (rows.length === 0) return [];
+
+    await client.query('DELETE FROM class_waitlist WHERE id = ANY($1::int[])', [rows.map(r => r.id)]);
+    const promoted = [];
+    for (const row of rows) {
+        await client.query(
+            `INSERT INTO enrollments (student_id, class_id, enrolled_at) VALUES ($1, $2, NOW())
+             ON CONFLICT (student_id, class_id) DO NOTHING`,
+            [row.student_id, classInfo.id]
+        );
+        promoted.push(row.student_id);
+    }
+    classInfo.enrolledCount += promoted.length;
+    logger.info(`Promoted ${promoted.length} student(s) from waitlist into class ${classInfo.id}.`);
+    return promoted;
+};
+
+/**
+ * Enrolls a student in a locked class, or appends them to its waitlist when it is full.
+ * @returns {Promise<object>} - { status: 'enrolled' | 'waitlisted' | 'already_enrolled' | 'already_waitlisted', position? }
+ */
+export const enrollOrWaitlist = async (client, classInfo, studentId) => {
+    const enrolled = await client.query('SELECT 1 FROM enrollments WHERE class_id = $1 AND student_id = $2', [classInfo.id, studentId]);
+    if (enrolled.rowCount > 0) return { status: 'already_enrolled' };
+
+    const waitlisted = await client.query('SELECT 1 FROM class_waitlist WHERE class_id = $1 AND student_id = $2', [classInfo.id, studentId]);
+    if (waitlisted.rowCount > 0) return { status: 'already_waitlisted' };
+
+    if (classInfo.enrolledCount < classInfo.max_students) {
+        await client.query('INSERT INTO enrollments (student_id, class_id, enrolled_at) VALUES ($1, $2, NOW())', [studentId, classInfo.id]);
+        classInfo.enrolledCount += 1;
+        return { status: 'enrolled' };
+    }
+
+    await client.query('INSERT INTO class_waitlist (class_id, student_id, created_at) VALUES ($1, $2, NOW())', [classInfo.id, studentId]);
+    const position = await client.query('SELECT COUNT(*)::int as position FROM class_waitlist WHERE class_id = $1', [classInfo.id]);
+    return { status: 'waitlisted', position: position.rows[0].position };
+};
+
+/**
+ * Removes a student from a locked class (enrollment or waitlist) and promotes from the waitlist if a seat opened.
+ * @returns {Promise<object>} - { status: 'unenrolled' | 'left_waitlist' | 'not_found', promoted: number[] }
+ */
+export const removeFromClass = async (client, classInfo, studentId) => {
+    const removed = await client.query('DELETE FROM enrollments WHERE class_id = $1 AND student_id = $2', [classInfo.id, studentId]);
+    if (removed.rowCount > 0) {
+        classInfo.enrolledCount -= removed.rowCount;
+        const promoted = classInfo.status === 'cancelled' || classInfo.status === 'completed'
+            ? []
+            : await promoteFromWaitlist(client, classInfo);
+        return { status: 'unenrolled', promoted };
+    }
+
+    const dequeued = await client.query('DELETE FROM class_waitlist WHERE class_id = $1 AND student_id = $2', [classInfo.id, studentId]);
+    if (dequeued.rowCount > 0) return { status: 'left_waitlist', promoted: [] };
+
+    return { status: 'not_found', promoted: [] };
+};
@@ -0,0 +1,154 @@
+// utils/errors.js - Application error classes and the catalog of error codes sent to clients
+//
+// Clients should switch on error.code, never on the message text. Codes are part of the API:
+// add new ones freely, but never rename or reuse an existing code.
+
+/**
+ * Every code the API can return, with the HTTP status it is normally sent with.
+ */
+export const ERROR_CATALOG = Object.freeze({
+    // Generic
+    BAD_REQUEST: { status: 400, description: 'The request could not be processed as sent.' },
+    VALIDATION_FAILED: { status: 400, description: 'One or more fields are missing or invalid; see details.fields.' },
+    INVALID_JSON: { status: 400, description: 'The request body is not valid JSON.' },
+    UNAUTHORIZED: { status: 401, description: 'Authentication is required.' },
+    FORBIDDEN: { status: 403, description: 'The user is not allowed to do this.' },
+    NOT_FOUND: { status: 404, description: 'The requested item does not exist or is not visible to the user.' },
+    ROUTE_NOT_FOUND: { status: 404, description: 'No endpoint matches the method and path.' },
+    CONFLICT: { status: 409, description: 'The request conflicts with the current state of the item.' },
+    DUPLICATE_ENTRY: { status: 409, description: 'The item already exists.' },
+    PAYLOAD_TOO_LARGE: { status: 413, description: 'The request body is too large.' },
+    RATE_LIMITED: { status: 429, description: 'Too many requests; retry after the Retry-After header (seconds).' },
+    CORS_ERROR: { status: 403, description: 'The request origin is not allowed.' },
+    INTERNAL_ERROR: { status: 500, description: 'Unexpected server error.' },
+    SERVICE_UNAVAILABLE: { status: 503, description: 'A dependency is down; retry later.' },
+
+    // Authentication and accounts
+    AUTH_REQUIRED: { status: 401, description: 'No access token was sent.' },
+    TOKEN_INVALID: { status: 401, description: 'The access token is malformed or its signature is wrong.' },
+    TOKEN_EXPIRED: { status: 401, description: 'The access token has expired; refresh it and retry.' },
+    SESSION_REVOKED: { status: 401, description: 'The session was revoked or has expired; log in again.' },
+    REFRESH_TOKEN_INVALID: { status: 401, description: 'The refresh token is unknown, expired, revoked or was reused.' },
+    INVALID_CREDENTIALS: { status: 401, description: 'The email or password is wrong.' },
+    ACCOUNT_LOCKED: { status: 429, description: 'Login is locked after repeated failures; retry after the Retry-After header (seconds).' },
+    EMAIL_TAKEN: { status: 409, description: 'An account with this email already exists.' },
+    EMAIL_ALREADY_VERIFIED: { status: 409, description: 'The email address is already verified.' },
+    LINK_INVALID: { status: 400, description: 'The verification or reset link is invalid or has expired.' },
+
+    // Classes and scheduling
+    SCHEDULE_CONFLICT: { status: 409, description: 'The time overlaps another class in the same room or of the same HOC; see details.conflicts.' },
+    CLASS_INACTIVE: { status: 400, description: 'The class is cancelled or completed.' },
+
+    // Enrollment
+    ALREADY_ENROLLED: { status: 409, description: 'The student is already enrolled.' },
+    ALREADY_WAITLISTED: { status: 409, description: 'The student is already on the waitlist.' },
+    NOT_ENROLLED: { status: 404, description: 'The student is not enrolled (or waitlisted).' },
+
+    // Attendance
+    CHECK_IN_CLOSED: { status: 400, description: 'No check-in window is open for the class.' },
+    CHECK_IN_CODE_INVALID: { status: 400, description: 'The check-in code is wrong or has rotated.' },
+    ALREADY_CHECKED_IN: { status: 409, description: 'Attendance has already been recorded.' },
+
+    // HOC requests
+    ALREADY_HOC: { status: 409, description: 'The user already has Head of Class privileges.' },
+    HOC_REQUEST_PENDING: { status: 409, description: 'The user already has a pending HOC request.' },
+
+    // Profile
+    EMAIL_UNCHANGED: { status: 400, description: 'The new email address is the current one.' },
+    HOC_HAS_ACTIVE_CLASSES: { status: 409, description: 'The account owns classes that have not finished or been cancelled; see details.classIds.' },
+});
+
+/**
+ * The codes by name, e.g. ERROR_CODES.NOT_FOUND === 'NOT_FOUND'.
+ */
+export const ERROR_CODES = Object.freeze(Object.fromEntries(Object.keys(ERROR_CATALOG).map(code => [code, code])));
+
+const STATUS_CODES = {
+    400: ERROR_CODES.BAD_REQUEST,
+    401: ERROR_CODES.UNAUTHORIZED,
+    403: ERROR_CODES.FORBIDDEN,
+    404: ERROR_CODES.NOT_FOUND,
+    409: ERROR_CODES.CONFLICT,
+    413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+    429: ERROR_CODES.RATE_LIMITED,
+    503: ERROR_CODES.SERVICE_UNAVAILABLE,
+};
+
+/**
+ * The generic code for an HTTP status, used when a response doesn't name a more specific one.
+ */
+export const codeForStatus = (statusCode) => STATUS_CODES[statusCode] || (statusCode < 500 ? ERROR_CODES.BAD_REQUEST : ERROR_CODES.INTERNAL_ERROR);
+
+/**
+ * Base class for errors whose message is safe to show to the client. Handlers throw these
+ * (also from inside transaction callbacks, which roll back) and the global error handler
+ * in server.js turns them into the error envelope.
+ */
+export class AppError extends Error {
+    /**
+     * @param {string} message - Shown to the user
+     * @param {object} options - { statusCode, code (from ERROR_CODES), details (extra JSON for the client) }
+     */
+    constructor(message, { statusCode = 500, code = codeForStatus(statusCode), details = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export class BadRequestError extends AppError {
+    constructor(message = 'Bad request.', { code = ERROR_CODES.BAD_REQUEST, details } = {}) {
+        super(message, { statusCode: 400, code, details });
+    }
+}
+
+/**
+ * Invalid input. fields: [{ location, field, message }], as produced by middleware/validate.js.
+ */
+export class ValidationError extends AppError {
+    constructor(fields, message = fields.map(f => f.message).join(' ')) {
+        super(message, { statusCode: 400, code: ERROR_CODES.VALIDATION_FAILED, details: { fields } });
+    }
+}
+
+export class UnauthorizedError extends AppError {
+    constructor(message = 'Not authorized.', { code = ERROR_CODES.UNAUTHORIZED, details } = {}) {
+        super(message, { statusCode: 401, code, details });
+    }
+}
+
+export class ForbiddenError extends AppError {
+    constructor(message = 'Access denied.', { code = ERROR_CODES.FORBIDDEN, details } = {}) {
+        super(message, { statusCode: 403, code, details });
+    }
+}
+
+export class NotFoundError extends AppError {
+    constructor(message = 'Not found.', { code = ERROR_CODES.NOT_FOUND, details } = {}) {
+        super(message, { statusCode: 404, code, details });
+    }
+}
+
+export class ConflictError extends AppError {
+    constructor(message = 'Conflict.', { code = ERROR_CODES.CONFLICT, details } = {}) {
+        super(message, { statusCode: 409, code, details });
+    }
+}
+
+export class ServiceUnavailableError extends AppError {
+    constructor(message = 'Service temporarily unavailable.', { code = ERROR_CODES.SERVICE_UNAVAILABLE, details } = {}) {
+        super(message, { statusCode: 503, code, details });
+    }
+}
+
+/**
+ * Too many requests. The global error handler turns retryAfterSeconds into the Retry-After header.
+ */
+export class RateLimitError extends AppError {
+    constructor(message = 'Too many requests. Please try again later.', { retryAfterSeconds, code = ERROR_CODES.RATE_LIMITED } = {}) {
+        super(message, { statusCode: 429, code, details: { retryAfterSeconds } });
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
@@ -0,0 +1,80 @@
+// utils/expoClient.js
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+import logger from './logger.js';
+
+dotenv.config();
+
+// Point EXPO_API_URL at a local stub server to exercise delivery without reaching Expo
+const EXPO_API_URL = (process.env.EXPO_API_URL || 'https://exp.host').replace(/\/$/, '');
+const EXPO_ACCESS_TOKEN = process.env.EXPO_ACCESS_TOKEN || null;
+
+// Limits documented by Expo for a single request
+export const MAX_MESSAGES_PER_REQUEST = 100;
+export const MAX_RECEIPT_IDS_PER_REQUEST = 1000;
+
+// Ticket/receipt error codes that will never succeed on retry
+export const PERMANENT_PUSH_ERRORS = ['DeviceNotRegistered', 'MessageTooBig', 'InvalidCredentials', 'MismatchSenderId'];
+
+export const isExpoPushToken = (token) => typeof token === 'string' && token.startsWith('ExponentPushToken[');
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+};
+
+async function postToExpo(pathName, payload) {
+    const headers = { 'Accept': 'application/json', 'Content-Type': 'application/json' };
+    if (EXPO_ACCESS_TOKEN) headers.Authorization = `Bearer ${EXPO_ACCESS_TOKEN}`;
+
+    const response = await fetch(`${EXPO_API_URL}${pathName}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+        const error = new Error(`Expo API Error (${response.status}): ${await response.text()}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response.json();
+}
+
+/**
+ * Sends push messages in chunks of MAX_MESSAGES_PER_REQUEST.
+ * Tickets are returned in the same order as messages. If a chunk's request fails,
+ * each of its messages gets { status: 'error', requestError } instead of a ticket.
+ * @param {Array<object>} messages - Expo messages ({ to, title, body, data, sound })
+ * @returns {Promise<Array<object>>} - One ticket per message
+ */
+export async function sendPushMessages(messages) {
+    const tickets = [];
+    for (const batch of chunk(messages, MAX_MESSAGES_PER_REQUEST)) {
+        try {
+            const result = await postToExpo('/--/api/v2/push/send', batch);
+            const data = result.data || [];
+            batch.forEach((message, index) => {
+                tickets.push(data[index] || { status: 'error', requestError: 'Missing ticket in Expo response' });
+            });
+        } catch (error) {
+            logger.error(`Expo push request failed for ${batch.length} message(s):`, error.message);
+            batch.forEach(() => tickets.push({ status: 'error', requestError: error.message }));
+        }
+    }
+    return tickets;
+}
+
+/**
+ * Fetches push receipts for the given ticket ids.
+ * @returns {Promise<object>} - Map of ticket id -> receipt ({ status, message, details }); ids Expo
+ *   has no receipt for yet are absent
+ */
+export async function getPushReceipts(ticketIds) {
+    const receipts = {};
+    for (const ids of chunk(ticketIds, MAX_RECEIPT_IDS_PER_REQUEST)) {
+        const result = await postToExpo('/--/api/v2/push/getReceipts', { ids });
+        Object.assign(receipts, result.data || {});
+    }
+    return receipts;
+}
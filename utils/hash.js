@@ -1,5 +1,6 @@
 // utils/hash.js
 import bcrypt from 'bcryptjs'; // Use import
+import logger from './logger.js';
 
 /**
  * Hashes a plain text password.
@@ -13,7 +14,7 @@ export const hashPassword = async (password) => {
         const hashedPassword = await bcrypt.hash(password, salt);
         return hashedPassword;
     } catch (error) {
-        console.error("Error hashing password:", error);
+        logger.error("Error hashing password:", error);
         throw new Error('Password hashing failed.');
     }
 };
@@ -28,7 +29,7 @@ export const comparePassword = async (enteredPassword, hashedPassword) => {
     try {
         return await bcrypt.compare(enteredPassword, hashedPassword);
     } catch (error) {
-        console.error("Error comparing passwords:", error);
+        logger.error("Error comparing passwords:", error);
         return false; // Return false on error
     }
 };
\ No newline at end of file
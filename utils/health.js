@@ -0,0 +1,74 @@
+// utils/health.js - Readiness checks behind GET /readyz and GET /health
+import dotenv from 'dotenv';
+import { pool, getPoolStatus } from '../db.js';
+import { isRealtimeListenerConnected } from './realtime.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+const DB_CHECK_TIMEOUT_MS = parseInt(process.env.READINESS_DB_TIMEOUT_MS, 10) || 2000;
+
+let shuttingDown = false;
+
+/**
+ * Makes readiness fail from now on, so load balancers stop routing here during shutdown.
+ */
+export const markShuttingDown = () => {
+    shuttingDown = true;
+};
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+async function checkDatabase() {
+    const startedAt = Date.now();
+    try {
+        await withTimeout(pool.query('SELECT 1'), DB_CHECK_TIMEOUT_MS);
+        return { status: 'ok', latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        logger.warn('Readiness check: database unavailable:', error.message);
+        // Connection errors name hosts and ports, which the public probe shouldn't reveal
+        return {
+            status: 'down',
+            latencyMs: Date.now() - startedAt,
+            ...(process.env.NODE_ENV !== 'production' && { error: error.message }),
+        };
+    }
+}
+
+// Queries queuing for a connection still get served, just slower
+function checkPool() {
+    const status = getPoolStatus();
+    return { status: status.waitingRequests > 0 ? 'degraded' : 'ok', ...status, maxConnections: pool.options.max };
+}
+
+// Without the listener this instance's sockets miss events published elsewhere, but the API still works
+function checkRealtime() {
+    return { status: isRealtimeListenerConnected() ? 'ok' : 'degraded' };
+}
+
+/**
+ * Runs every dependency check. The instance is ready unless the database is down or it is
+ * shutting down; optional dependencies that are impaired make it 'degraded' but still ready.
+ * @returns {Promise<object>} - { ready, status: 'ok'|'degraded'|'down', checks: { database, pool, realtime } }
+ */
+export const checkReadiness = async () => {
+    const checks = {
+        database: await checkDatabase(),
+        pool: checkPool(),
+        realtime: checkRealtime(),
+    };
+    const ready = !shuttingDown && checks.database.status === 'ok';
+    const degraded = Object.values(checks).some(check => check.status !== 'ok');
+    return {
+        ready,
+        status: !ready ? 'down' : degraded ? 'degraded' : 'ok',
+        ...(shuttingDown && { shuttingDown: true }),
+        checks,
+    };
+};
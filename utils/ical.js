@@ -0,0 +1,95 @@
+// utils/ical.js - Minimal RFC 5545 (iCalendar) writer for the class feed
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Right-hand side of every event UID; must never change or calendars will duplicate events
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'synapse.app';
+const PRODUCT_ID = '-//Synapse//Class Timetable//EN';
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * Formats a date as an iCalendar UTC date-time, e.g. 20260302T093000Z.
+ */
+export const formatIcsDate = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+export const classEventUid = (classId) => `class-${classId}@${UID_DOMAIN}`;
+
+/**
+ * Builds the VEVENT lines for a class row. Cancelled classes stay in the feed with
+ * STATUS:CANCELLED so calendar apps strike them through instead of silently dropping them.
+ * DTSTAMP is when the feed was generated (RFC 5545 for METHOD:PUBLISH); the class's own
+ * last change goes in LAST-MODIFIED.
+ */
+const buildClassEvent = (cls, generatedAt) => {
+    const start = new Date(cls.start_time);
+    const end = new Date(start.getTime() + cls.duration_minutes * 60 * 1000);
+    const cancelled = cls.status === 'cancelled';
+    const description = [
+        cls.subject && `Subject: ${cls.subject}`,
+        cls.instructor && `Instructor: ${cls.instructor}`,
+        cls.status === 'rescheduled' && 'This class has been rescheduled.',
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${classEventUid(cls.id)}`,
+        `DTSTAMP:${formatIcsDate(generatedAt)}`,
+        `LAST-MODIFIED:${formatIcsDate(cls.updated_at)}`,
+        `SEQUENCE:${cls.calendar_sequence || 0}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeText(cancelled ? `Cancelled: ${cls.class_name}` : cls.class_name)}`,
+        cls.location && `LOCATION:${escapeText(cls.location)}`,
+        description && `DESCRIPTION:${escapeText(description)}`,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+    ].filter(Boolean);
+};
+
+/**
+ * Serializes classes into a VCALENDAR document.
+ * @param {object} options - { name: calendar display name, classes: rows with id, class_name, subject,
+ *   start_time, duration_minutes, location, status, instructor, updated_at, calendar_sequence },
+ *   generatedAt: defaults to now }
+ * @returns {string}
+ */
+export const buildClassCalendar = ({ name, classes, generatedAt = new Date() }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        // Hint for subscribing clients; Google Calendar ignores it and polls on its own schedule
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...classes.flatMap(cls => buildClassEvent(cls, generatedAt)),
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
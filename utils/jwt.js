@@ -1,28 +1,47 @@
 // utils/jwt.js
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import logger from './logger.js';
 
 dotenv.config();
 
 const JWT_SECRET = process.env.JWT_SECRET;
 if (!JWT_SECRET) {
-    console.error('FATAL ERROR: JWT_SECRET environment variable is not defined.');
+    logger.error('FATAL ERROR: JWT_SECRET environment variable is not defined.');
     process.exit(1);
 }
 
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
 
 /**
- * Generates a JSON Web Token.
+ * Generates a short-lived access token bound to a server-side session.
  */
-export const generateToken = (userId) => {
-    if (!userId) {
-        console.error('Error generating token: userId is missing.');
-        throw new Error('User identifier is required to generate a token.');
+export const generateAccessToken = (userId, sessionId) => {
+    if (!userId || !sessionId) {
+        logger.error('Error generating token: userId or sessionId is missing.');
+        throw new Error('User and session identifiers are required to generate a token.');
     }
-    const payload = { userId };
+    const payload = { userId, sessionId };
 
     return jwt.sign(payload, JWT_SECRET, {
         expiresIn: JWT_EXPIRES_IN,
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Verifies an access token and returns its decoded payload.
+ * Throws the jsonwebtoken error (JsonWebTokenError, TokenExpiredError) on failure.
+ */
+export const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+/**
+ * Generates an opaque random token (refresh tokens, one-time links).
+ */
+export const generateOpaqueToken = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Hashes an opaque token for storage. Only the hash is ever persisted.
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
@@ -0,0 +1,135 @@
+// utils/logger.js - Leveled logger with request context and automatic redaction
+//
+// LOG_LEVEL: debug | info | warn | error (default: info in production, debug otherwise)
+// LOG_FORMAT: json | pretty (default: json in production, pretty otherwise)
+//
+// Usage mirrors console: logger.info('Class created', { classId }) or logger.error('Failed:', error).
+// Strings are joined into the message, plain objects become fields and Errors become an "error" field.
+// Lines written while handling a request carry its requestId (and userId once authenticated).
+import { AsyncLocalStorage } from 'async_hooks';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const isProduction = process.env.NODE_ENV === 'production';
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? (isProduction ? LEVELS.info : LEVELS.debug);
+const FORMAT = process.env.LOG_FORMAT || (isProduction ? 'json' : 'pretty');
+
+// --- Request context ---
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Runs fn with a context ({ requestId, ... }) that every log line inside it picks up.
+ */
+export const runWithRequestContext = (context, fn) => requestContext.run(context, fn);
+
+/**
+ * The context of the request being handled, or undefined outside a request.
+ */
+export const getRequestContext = () => requestContext.getStore();
+
+/**
+ * Adds fields (e.g. userId after authentication) to the current request's context.
+ */
+export const setRequestContext = (fields) => {
+    const context = requestContext.getStore();
+    if (context) Object.assign(context, fields);
+};
+
+// --- Redaction ---
+
+const REDACTED = '[REDACTED]';
+// Values under these keys are never logged (only string values, so counts like tokenCount survive)
+const SENSITIVE_KEY_PATTERN = /pass(word)?|secret|token|authorization|cookie|hash|otp/i;
+const STRING_REDACTIONS = [
+    [/ExponentPushToken\[[^\]]*\]/g, 'ExponentPushToken[REDACTED]'],
+    [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED], // JWTs
+    [/\bBearer\s+\S+/gi, `Bearer ${REDACTED}`],
+    // Keeps the first character and the domain: "jane.doe@uni.edu" -> "j***@uni.edu"
+    [/\b([A-Za-z0-9])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g, '$1***@$2'],
+];
+const MAX_DEPTH = 5;
+
+/**
+ * Masks tokens, JWTs and email addresses inside a string.
+ */
+export const redactString = (text) => STRING_REDACTIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+/**
+ * Deep copy of a value with sensitive keys and strings redacted.
+ */
+export const redact = (value, depth = 0) => {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH) return '[Object]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        typeof item === 'string' && SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1),
+    ]));
+};
+
+// --- Output ---
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(!isProduction && error.stack && { stack: error.stack }),
+});
+
+// Splits console-style arguments into a message and structured fields
+const parseArgs = (args) => {
+    const words = [];
+    const fields = {};
+    for (const arg of args) {
+        if (arg instanceof Error) fields.error = serializeError(arg);
+        else if (arg !== null && typeof arg === 'object' && !Array.isArray(arg)) Object.assign(fields, arg);
+        else words.push(typeof arg === 'string' ? arg : JSON.stringify(arg));
+    }
+    return { message: words.join(' '), fields };
+};
+
+const write = (level, bindings, args) => {
+    if (LEVELS[level] < MIN_LEVEL) return;
+    const { message, fields } = parseArgs(args);
+    const context = requestContext.getStore();
+    const entry = redact({
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...(context?.requestId && { requestId: context.requestId }),
+        ...(context?.userId && { userId: context.userId }),
+        ...bindings,
+        ...fields,
+    });
+
+    if (FORMAT === 'json') {
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${JSON.stringify(entry)}\n`);
+        return;
+    }
+    const { time, level: _level, msg, requestId, ...rest } = entry;
+    const prefix = `${time} ${level.toUpperCase().padEnd(5)}${requestId ? ` [${requestId.slice(0, 8)}]` : ''}`;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    const method = level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log';
+    console[method](`${prefix} ${msg}${extra}`);
+};
+
+const createLogger = (bindings = {}) => ({
+    debug: (...args) => write('debug', bindings, args),
+    info: (...args) => write('info', bindings, args),
+    warn: (...args) => write('warn', bindings, args),
+    error: (...args) => write('error', bindings, args),
+    /**
+     * A logger that adds fixed fields to every line, e.g. logger.child({ worker: 'push-outbox' }).
+     */
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+});
+
+const logger = createLogger();
+
+export default logger;
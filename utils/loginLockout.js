@@ -0,0 +1,66 @@
+// utils/loginLockout.js - Progressive per-account lockout after failed logins
+//
+// After LOGIN_LOCKOUT_THRESHOLD consecutive failures the account is locked for
+// LOGIN_LOCKOUT_BASE_SECONDS; every further failure doubles the lock, up to LOGIN_LOCKOUT_MAX_SECONDS.
+// Failures are forgotten after a day or on a successful login. Accounts are keyed by the normalized
+// email alone, so guesses spread over many IPs still add up; addresses without an account lock the
+// same way and can't be told apart. The store being down never blocks a login.
+import dotenv from 'dotenv';
+import { getRateLimitStore } from './rateLimitStore.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+const FAILURE_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const BASE_LOCK_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60) * 1000;
+const MAX_LOCK_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 60 * 60) * 1000;
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+const failureKey = (email) => `login-failures:${normalizeEmail(email)}`;
+const lockKey = (email) => `login-lock:${normalizeEmail(email)}`;
+
+/**
+ * Seconds until the account may try again, or 0 if it isn't locked.
+ */
+export const getLoginLockoutSeconds = async (email) => {
+    try {
+        const lock = await getRateLimitStore().get(lockKey(email));
+        return lock ? Math.max(1, Math.ceil((new Date(lock.resetAt).getTime() - Date.now()) / 1000)) : 0;
+    } catch (error) {
+        logger.error('Login lockout check skipped, store unavailable:', error.message);
+        return 0;
+    }
+};
+
+/**
+ * Counts a failed login and locks the account once it passes the threshold.
+ * @returns {Promise<number>} - Seconds the account is now locked for (0 if not locked)
+ */
+export const recordLoginFailure = async (email) => {
+    try {
+        const store = getRateLimitStore();
+        const { count } = await store.increment(failureKey(email), FAILURE_MEMORY_MS);
+        if (count < FAILURE_THRESHOLD) return 0;
+
+        const lockMs = Math.min(BASE_LOCK_MS * 2 ** (count - FAILURE_THRESHOLD), MAX_LOCK_MS);
+        await store.set(lockKey(email), count, lockMs);
+        logger.warn(`Login locked for ${Math.round(lockMs / 1000)}s after ${count} failed attempts.`);
+        return Math.ceil(lockMs / 1000);
+    } catch (error) {
+        logger.error('Failed login not counted, store unavailable:', error.message);
+        return 0;
+    }
+};
+
+/**
+ * Forgets failures after a successful login.
+ */
+export const clearLoginFailures = async (email) => {
+    try {
+        const store = getRateLimitStore();
+        await Promise.all([store.delete(failureKey(email)), store.delete(lockKey(email))]);
+    } catch (error) {
+        logger.error('Failed to clear login failures:', error.message);
+    }
+};
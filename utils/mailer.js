@@ -0,0 +1,127 @@
+// utils/mailer.js
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import logger from './logger.js';
+
+dotenv.config();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Synapse <no-reply@synapse.local>';
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// --- Transports ---
+// Every transport exposes { name, send(message, { secrets }) } where message is { from, to, subject, text, html }
+// and secrets lists the one-time tokens inside it.
+
+const maskSecrets = (text, secrets) => secrets.reduce((result, secret) => result.split(secret).join('[REDACTED]'), text);
+
+/**
+ * Writes emails to the log instead of sending them, with their tokens masked. Default for development;
+ * use the file transport to read the links themselves.
+ */
+export const createConsoleTransport = () => ({
+    name: 'console',
+    async send(message, { secrets = [] } = {}) {
+        logger.info(`Email to ${message.to}: ${message.subject}`, {
+            transport: 'console',
+            body: maskSecrets(message.text, secrets),
+        });
+        return { messageId: `console-${Date.now()}` };
+    },
+});
+
+/**
+ * Writes each email as a JSON file so tests and local tooling can read them back.
+ * @param {string} dir - Output directory (created if missing)
+ */
+export const createFileTransport = (dir) => ({
+    name: 'file',
+    async send(message) {
+        await fs.mkdir(dir, { recursive: true });
+        const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        const filePath = path.join(dir, `${messageId}.json`);
+        await fs.writeFile(filePath, JSON.stringify({ messageId, ...message, sentAt: new Date().toISOString() }, null, 2));
+        return { messageId, filePath };
+    },
+});
+
+/**
+ * Sends through an SMTP server via nodemailer (loaded lazily so dev setups don't need SMTP config).
+ */
+export const createSmtpTransport = (options) => {
+    let transporterPromise = null;
+    const getTransporter = async () => {
+        if (!transporterPromise) {
+            transporterPromise = import('nodemailer').then(({ default: nodemailer }) => nodemailer.createTransport(options));
+        }
+        return transporterPromise;
+    };
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const transporter = await getTransporter();
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        },
+    };
+};
+
+const createTransportFromEnv = () => {
+    // Only SMTP actually delivers mail, so production must ask for it rather than fall back to the log
+    if (isProduction && process.env.MAIL_TRANSPORT !== 'smtp') {
+        logger.error('FATAL ERROR: MAIL_TRANSPORT must be set to smtp in production.');
+        process.exit(1);
+    }
+    const kind = process.env.MAIL_TRANSPORT || 'console';
+    switch (kind) {
+        case 'console':
+            return createConsoleTransport();
+        case 'file':
+            return createFileTransport(process.env.MAIL_FILE_DIR || path.resolve('tmp', 'mail'));
+        case 'smtp':
+            if (!process.env.SMTP_HOST) {
+                logger.error('FATAL ERROR: MAIL_TRANSPORT=smtp requires SMTP_HOST.');
+                process.exit(1);
+            }
+            return createSmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined,
+            });
+        default:
+            logger.error(`FATAL ERROR: Unknown MAIL_TRANSPORT "${kind}". Use console, file or smtp.`);
+            process.exit(1);
+    }
+};
+
+let activeTransport = createTransportFromEnv();
+
+/**
+ * Replaces the active transport (e.g. with a file transport in tests).
+ */
+export const setMailTransport = (transport) => {
+    activeTransport = transport;
+};
+
+/**
+ * Sends an email through the active transport.
+ * @param {object} message - { to, subject, text, html, secrets }; secrets are tokens in the body
+ *   that must not reach the logs
+ * @returns {Promise<object>} - Transport-specific result containing messageId
+ */
+export const sendMail = async ({ to, subject, text, html, secrets = [] }) => {
+    if (!to || !subject || !text) {
+        throw new Error('Email requires to, subject and text.');
+    }
+    try {
+        return await activeTransport.send({ from: MAIL_FROM, to, subject, text, html }, { secrets });
+    } catch (error) {
+        logger.error(`Failed to send email via ${activeTransport.name} to ${to}:`, error.message);
+        throw error;
+    }
+};
@@ -0,0 +1,127 @@
+// utils/metrics.js - In-process metrics registry rendered in the Prometheus text format
+//
+// Modules declare their metrics at load time and update them as things happen:
+//   const sent = counter('push_notifications_sent_total', 'Push messages accepted by Expo.');
+//   sent.inc();
+// GET /metrics (server.js) renders every registered metric. Values are per process; Prometheus
+// aggregates across instances.
+
+const registry = new Map();
+
+// Seconds; covers fast queries up to slow exports
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// Series are keyed by their label values in labelNames order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+
+const register = (metric) => {
+    if (registry.has(metric.name)) throw new Error(`Metric "${metric.name}" is already registered.`);
+    registry.set(metric.name, metric);
+    return metric;
+};
+
+/**
+ * A value that only goes up, e.g. requests served.
+ * @param {string[]} labelNames - Label names; keep their values low-cardinality (no ids)
+ */
+export const counter = (name, help, labelNames = []) => {
+    const series = new Map();
+    // An unlabelled counter reports 0 before its first increment, so rate() works from the start
+    if (labelNames.length === 0) series.set(seriesKey([], {}), { labels: {}, value: 0 });
+    return register({
+        name, help, type: 'counter',
+        inc(labels = {}, value = 1) {
+            const key = seriesKey(labelNames, labels);
+            const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+            current.value += value;
+            series.set(key, current);
+        },
+        render: () => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`),
+    });
+};
+
+/**
+ * A value that goes up and down. Pass collect to read it at scrape time instead of calling set:
+ * collect() returns a number, or [{ labels, value }] for labelled series.
+ */
+export const gauge = (name, help, { labelNames = [], collect = null } = {}) => {
+    const series = new Map();
+    return register({
+        name, help, type: 'gauge',
+        set(labels, value) {
+            series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+        },
+        render() {
+            if (!collect) return [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`);
+            const collected = collect();
+            const values = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+            return values.map(s => `${name}${formatLabels(s.labels)} ${s.value}`);
+        },
+    });
+};
+
+/**
+ * Distribution of observed values (durations in seconds) over cumulative buckets.
+ */
+export const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    return register({
+        name, help, type: 'histogram',
+        observe(labels, value) {
+            const key = seriesKey(labelNames, labels);
+            let current = series.get(key);
+            if (!current) {
+                current = { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+                series.set(key, current);
+            }
+            bounds.forEach((bound, i) => { if (value <= bound) current.counts[i]++; });
+            current.sum += value;
+            current.count++;
+        },
+        render: () => [...series.values()].flatMap(s => [
+            ...bounds.map((bound, i) => `${name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`),
+            `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+            `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+            `${name}_count${formatLabels(s.labels)} ${s.count}`,
+        ]),
+    });
+};
+
+/**
+ * Every registered metric in the Prometheus text exposition format (version 0.0.4).
+ */
+export const renderMetrics = () => [...registry.values()]
+    .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render()].join('\n'))
+    .join('\n') + '\n';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// --- Process metrics ---
+
+gauge('process_uptime_seconds', 'Seconds since the process started.', { collect: () => process.uptime() });
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', { collect: () => process.memoryUsage().rss });
+gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes.', { collect: () => process.memoryUsage().heapUsed });
+
+// --- HTTP metrics (recorded by middleware/accessLog.js) ---
+
+const httpRequests = counter('http_requests_total', 'HTTP requests served, by route pattern and status.', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency in seconds, by route pattern.', ['method', 'route']);
+
+/**
+ * Records one finished request. route must be a pattern (e.g. "/api/hoc/:id/cancel"), never a raw path.
+ */
+export const observeHttpRequest = ({ method, route, status, durationSeconds }) => {
+    httpRequests.inc({ method, route, status });
+    httpDuration.observe({ method, route }, durationSeconds);
+};
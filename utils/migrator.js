@@ -0,0 +1,160 @@
+// utils/migrator.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { transaction, getClient } from '../db.js';
+import logger from './logger.js';
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+// Arbitrary constant shared by every instance so only one process migrates at a time.
+const MIGRATION_LOCK_KEY = 72706001;
+
+const LEDGER_DDL = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(32) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`;
+
+/**
+ * Reads the migrations directory and returns migrations ordered by version.
+ * Each entry is { version, name, upFile, downFile }.
+ */
+export const loadMigrations = async () => {
+    const files = await fs.readdir(MIGRATIONS_DIR);
+    const byVersion = new Map();
+
+    for (const file of files) {
+        const match = MIGRATION_FILE_PATTERN.exec(file);
+        if (!match) continue;
+        const [, version, name, direction] = match;
+        const entry = byVersion.get(version) || { version, name, upFile: null, downFile: null };
+        if (entry.name !== name) {
+            throw new Error(`Migration ${version} has mismatched file names: ${entry.name} and ${name}`);
+        }
+        entry[direction === 'up' ? 'upFile' : 'downFile'] = path.join(MIGRATIONS_DIR, file);
+        byVersion.set(version, entry);
+    }
+
+    const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+    for (const migration of migrations) {
+        if (!migration.upFile) throw new Error(`Migration ${migration.version}_${migration.name} is missing its .up.sql file`);
+    }
+    return migrations;
+};
+
+const getAppliedMigrations = async (client) => {
+    await client.query(LEDGER_DDL);
+    const { rows } = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+    return rows;
+};
+
+/**
+ * Runs fn(client) while holding the migration advisory lock on a dedicated connection.
+ */
+const withMigrationLock = async (fn) => {
+    const client = await getClient();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        try {
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Returns every known migration with its applied state.
+ * @returns {Promise<{applied: Array, pending: Array, missing: Array}>}
+ *   missing lists ledger entries whose files no longer exist.
+ */
+export const getMigrationStatus = async () => {
+    const migrations = await loadMigrations();
+    const client = await getClient();
+    let appliedRows;
+    try {
+        appliedRows = await getAppliedMigrations(client);
+    } finally {
+        client.release();
+    }
+
+    const appliedByVersion = new Map(appliedRows.map(row => [row.version, row]));
+    const knownVersions = new Set(migrations.map(m => m.version));
+
+    return {
+        applied: migrations
+            .filter(m => appliedByVersion.has(m.version))
+            .map(m => ({ ...m, appliedAt: appliedByVersion.get(m.version).applied_at })),
+        pending: migrations.filter(m => !appliedByVersion.has(m.version)),
+        missing: appliedRows.filter(row => !knownVersions.has(row.version)),
+    };
+};
+
+/**
+ * Returns migrations that exist on disk but have not been applied yet.
+ */
+export const getPendingMigrations = async () => {
+    const { pending } = await getMigrationStatus();
+    return pending;
+};
+
+/**
+ * Applies all pending migrations in order, each in its own transaction.
+ * @returns {Promise<Array>} - The migrations that were applied
+ */
+export const migrateUp = async () => {
+    return withMigrationLock(async (lockClient) => {
+        const migrations = await loadMigrations();
+        const applied = new Set((await getAppliedMigrations(lockClient)).map(row => row.version));
+        const pending = migrations.filter(m => !applied.has(m.version));
+        const completed = [];
+
+        for (const migration of pending) {
+            const sql = await fs.readFile(migration.upFile, 'utf8');
+            logger.info(`Applying migration ${migration.version}_${migration.name}...`);
+            await transaction(async (client) => {
+                await client.query(sql);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, NOW())',
+                    [migration.version, migration.name]
+                );
+            });
+            completed.push(migration);
+        }
+        return completed;
+    });
+};
+
+/**
+ * Reverts the most recently applied migrations.
+ * @param {number} steps - Number of migrations to roll back (default: 1)
+ * @returns {Promise<Array>} - The migrations that were rolled back
+ */
+export const migrateDown = async (steps = 1) => {
+    return withMigrationLock(async (lockClient) => {
+        const migrations = await loadMigrations();
+        const byVersion = new Map(migrations.map(m => [m.version, m]));
+        const appliedRows = await getAppliedMigrations(lockClient);
+        const toRevert = appliedRows.slice(-steps).reverse();
+        const reverted = [];
+
+        for (const row of toRevert) {
+            const migration = byVersion.get(row.version);
+            if (!migration || !migration.downFile) {
+                throw new Error(`Cannot roll back ${row.version}_${row.name}: no .down.sql file found`);
+            }
+            const sql = await fs.readFile(migration.downFile, 'utf8');
+            logger.info(`Rolling back migration ${migration.version}_${migration.name}...`);
+            await transaction(async (client) => {
+                await client.query(sql);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            });
+            reverted.push(migration);
+        }
+        return reverted;
+    });
+};
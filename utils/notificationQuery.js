@@ -0,0 +1,80 @@
+// utils/notificationQuery.js
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encodes the (created_at, id) position of a notification as an opaque cursor.
+ * createdAt must be Postgres' own text form so no precision is lost.
+ */
+export const encodeCursor = (createdAt, id) => Buffer.from(`${createdAt}|${id}`).toString('base64url');
+
+/**
+ * Decodes a cursor from encodeCursor. Returns null if it is malformed.
+ */
+export const decodeCursor = (cursor) => {
+    try {
+        const [createdAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+        const idInt = parseInt(id, 10);
+        if (!createdAt || isNaN(idInt) || isNaN(Date.parse(createdAt))) return null;
+        return { createdAt, id: idInt };
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Parses a page size from the query string, clamped to MAX_PAGE_SIZE.
+ * Returns null if the value is not a positive integer.
+ */
+export const parseLimit = (value, fallback = DEFAULT_PAGE_SIZE) => {
+    if (value === undefined) return fallback;
+    const limit = parseInt(value, 10);
+    if (isNaN(limit) || limit <= 0) return null;
+    return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+/**
+ * Builds the WHERE clause for a user's notifications from query-string filters:
+ * type, source, relatedClassId, isRead (true/false or 'true'/'false'), since, until (ISO dates) and cursor.
+ * Column references assume the notifications table is aliased as "n".
+ * @returns {object} - { where, params } or { error } describing the first invalid filter
+ */
+export const buildNotificationFilters = (userId, query = {}, { allowCursor = true } = {}) => {
+    const params = [userId];
+    const conditions = ['n.user_id = $1'];
+    const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (query.type) add('n.type = ?', String(query.type));
+    if (query.source) add('n.source = ?', String(query.source));
+
+    if (query.relatedClassId !== undefined) {
+        const classIdInt = parseInt(query.relatedClassId, 10);
+        if (isNaN(classIdInt)) return { error: 'Invalid relatedClassId.' };
+        add('n.related_class_id = ?', classIdInt);
+    }
+
+    if (query.isRead !== undefined) {
+        const isRead = String(query.isRead);
+        if (isRead !== 'true' && isRead !== 'false') return { error: 'isRead must be true or false.' };
+        add('n.is_read = ?', isRead === 'true');
+    }
+
+    for (const [key, operator] of [['since', '>='], ['until', '<']]) {
+        if (query[key] === undefined) continue;
+        if (isNaN(Date.parse(query[key]))) return { error: `Invalid ${key} date.` };
+        add(`n.created_at ${operator} ?::timestamptz`, new Date(query[key]).toISOString());
+    }
+
+    if (allowCursor && query.cursor) {
+        const cursor = decodeCursor(String(query.cursor));
+        if (!cursor) return { error: 'Invalid cursor.' };
+        params.push(cursor.createdAt, cursor.id);
+        conditions.push(`(n.created_at, n.id) < ($${params.length - 1}::timestamptz, $${params.length})`);
+    }
+
+    return { where: conditions.join(' AND '), params };
+};
@@ -0,0 +1,136 @@
+// utils/pushNotifications.js
+import { pool, transaction } from '../db.js';
+import { isExpoPushToken } from './expoClient.js';
+import { publishEvents, userChannel, EVENTS } from './realtime.js';
+import { recordAuditEvents } from './audit.js';
+import logger from './logger.js';
+
+// Devices that haven't registered within this window are treated as abandoned and not pushed to
+const ACTIVE_DEVICE_DAYS = 60;
+
+/**
+ * Notification types users can mute for push (users.push_muted_types). Muted types still reach
+ * the inbox; only the push is skipped.
+ */
+export const PUSH_NOTIFICATION_TYPES = ['announcement', 'class_notification', 'class_cancelled', 'class_rescheduled', 'class_reminder'];
+
+/**
+ * Turns all notifications on or off for a user. Turning them off also unregisters every device.
+ * @param {object} client - Optional transaction client (defaults to the pool)
+ */
+export async function setNotificationsEnabled(userId, enabled, client = pool) {
+    await client.query('UPDATE users SET notifications_enabled = $1, updated_at = NOW() WHERE id = $2', [enabled, userId]);
+    if (!enabled) await client.query('DELETE FROM push_tokens WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Joins every active device of user "u" as "pt" (one row per device, NULL token if none).
+ */
+export const ACTIVE_PUSH_TOKENS_JOIN = `LEFT JOIN push_tokens pt
+            ON pt.user_id = u.id AND pt.last_seen_at > NOW() - INTERVAL '${ACTIVE_DEVICE_DAYS} days'`;
+
+/**
+ * Logs a notification to each user's inbox and queues a push for each of their devices.
+ * Both happen in one transaction; pushes are delivered later by workers/pushOutboxWorker.js.
+ * Failures are logged and reported as zero counts, never thrown.
+ * @param {Array<{id: number, token: string|null}>} recipients - Rows of user id and (optional) push token
+ * @param {object} notification - { title, message, type, source, relatedClassId, data }
+ * @param {object} options - { audit: { context, action, targetType, targetId, metadata } } records the send
+ *                           in the audit trail, in the same transaction
+ * @returns {Promise<object>} - { dbLogCount, pushQueuedCount }
+ */
+export async function deliverNotification(recipients, { title, message, type, source = 'hoc', relatedClassId = null, data = {} }, { audit = null } = {}) {
+    const userIds = [...new Set(recipients.map(r => r.id))];
+    const recordAudit = (db, counts) => audit && recordAuditEvents(db, audit.context, {
+        action: audit.action, targetType: audit.targetType, targetId: audit.targetId,
+        after: { recipients: userIds.length, ...counts },
+        metadata: { title, message, type, ...audit.metadata },
+    });
+
+    if (userIds.length === 0) {
+        const empty = { dbLogCount: 0, pushQueuedCount: 0 };
+        try {
+            await recordAudit(pool, empty);
+        } catch (error) {
+            logger.error('Failed to audit notification:', error.message);
+        }
+        return empty;
+    }
+
+    // One push per distinct device token
+    const pushTargets = new Map();
+    recipients.forEach(r => {
+        if (isExpoPushToken(r.token) && !pushTargets.has(r.token)) pushTargets.set(r.token, r.id);
+    });
+    const pushData = JSON.stringify({ type, classId: relatedClassId, ...data });
+
+    try {
+        return await transaction(async (client) => {
+            const logged = await client.query(`
+                INSERT INTO notifications (user_id, title, message, type, source, related_class_id, created_at, updated_at)
+                SELECT user_id, $2, $3, $4, $5, $6, NOW(), NOW() FROM unnest($1::int[]) AS user_id
+                RETURNING id, user_id, created_at`,
+                [userIds, title, message, type, source, relatedClassId]);
+            const notificationByUser = new Map(logged.rows.map(r => [r.user_id, r.id]));
+
+            let pushQueuedCount = 0;
+            if (pushTargets.size > 0) {
+                const tokens = [...pushTargets.keys()];
+                const tokenUserIds = tokens.map(token => pushTargets.get(token));
+                // Users who muted this type get the inbox entry without a push
+                const queued = await client.query(`
+                    INSERT INTO push_outbox (user_id, notification_id, token, title, body, data, status, next_attempt_at, created_at, updated_at)
+                    SELECT t.user_id, t.notification_id, t.token, $4, $5, $6::jsonb, 'pending', NOW(), NOW(), NOW()
+                    FROM unnest($1::int[], $2::int[], $3::text[]) AS t(user_id, notification_id, token)
+                    JOIN users u ON u.id = t.user_id
+                    WHERE $7::text IS NULL OR NOT ($7::text = ANY(u.push_muted_types))`,
+                    [tokenUserIds, tokenUserIds.map(id => notificationByUser.get(id)), tokens, title, message, pushData, type]);
+                pushQueuedCount = queued.rowCount;
+            }
+
+            // Delivered to connected clients only once the rows are committed. One event per user so
+            // each carries that user's notification id (for mark-as-read and de-duplication).
+            await publishEvents(logged.rows.map(row => ({
+                channels: [userChannel(row.user_id)],
+                type: EVENTS.NOTIFICATION_CREATED,
+                data: { id: row.id, title, message, type, source, relatedClassId, isRead: false, createdAt: row.created_at },
+            })), client);
+            const counts = { dbLogCount: logged.rowCount, pushQueuedCount };
+            await recordAudit(client, counts);
+            return counts;
+        });
+    } catch (error) {
+        logger.error('Failed to log/queue notification:', error.message);
+        return { dbLogCount: 0, pushQueuedCount: 0 };
+    }
+}
+
+/**
+ * Notifies every student enrolled in any of the given classes (with notifications enabled).
+ * A student enrolled in several of the classes receives a single notification.
+ * @param {number[]} classIds - Classes whose students should be notified
+ * @param {object} notification - See deliverNotification; relatedClassId defaults to classIds[0]
+ */
+export async function sendNotificationToClasses(classIds, notification, options = {}) {
+    const students = await pool.query(`
+        SELECT DISTINCT u.id, pt.token FROM users u
+        JOIN enrollments e ON u.id = e.student_id
+        ${ACTIVE_PUSH_TOKENS_JOIN}
+        WHERE e.class_id = ANY($1::int[]) AND u.notifications_enabled = TRUE`, [classIds]);
+
+    const summary = await deliverNotification(students.rows, {
+        relatedClassId: classIds[0],
+        ...notification,
+    }, options);
+    logger.info(`Class notification "${notification.title}" for class(es) ${classIds.join(', ')}: ` +
+        `logged ${summary.dbLogCount}, pushes queued ${summary.pushQueuedCount}.`);
+    return { studentCount: new Set(students.rows.map(r => r.id)).size, ...summary };
+}
+
+/**
+ * Notifies the students enrolled in a single class.
+ */
+export async function sendNotificationToClass(classId, title, message, data = {}, options = {}) {
+    const { type = 'class_notification', ...rest } = data;
+    return sendNotificationToClasses([classId], { title, message, type, data: rest }, options);
+}
@@ -0,0 +1,116 @@
+// utils/rateLimitStore.js - Fixed-window counters behind middleware/rateLimit.js and the login lockout
+//
+// RATE_LIMIT_STORE=memory (default) keeps counters in this process, which is fine for one node.
+// RATE_LIMIT_STORE=postgres shares them between instances through the rate_limits table (migration 0016).
+//
+// A store has:
+//   increment(key, windowMs) -> { count, resetAt }  starts a new window if the old one has expired
+//   get(key)                 -> { count, resetAt } | null
+//   set(key, count, windowMs)                       overwrites the counter and its window
+//   delete(key)
+//   prune()                                         drops expired counters
+import dotenv from 'dotenv';
+import { pool } from '../db.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Counters in a Map. Not shared between processes.
+ */
+export const createMemoryStore = () => {
+    const entries = new Map();
+    const live = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.resetAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+    const snapshot = (entry) => ({ count: entry.count, resetAt: new Date(entry.resetAt) });
+
+    return {
+        async increment(key, windowMs) {
+            let entry = live(key);
+            if (!entry) {
+                entry = { count: 0, resetAt: Date.now() + windowMs };
+                entries.set(key, entry);
+            }
+            entry.count++;
+            return snapshot(entry);
+        },
+        async get(key) {
+            const entry = live(key);
+            return entry ? snapshot(entry) : null;
+        },
+        async set(key, count, windowMs) {
+            entries.set(key, { count, resetAt: Date.now() + windowMs });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async prune() {
+            const now = Date.now();
+            for (const [key, entry] of entries) {
+                if (entry.resetAt <= now) entries.delete(key);
+            }
+        },
+    };
+};
+
+/**
+ * Counters in the rate_limits table. Each call is a single statement, so concurrent
+ * requests on different instances count correctly.
+ */
+export const createPostgresStore = (db = pool) => ({
+    async increment(key, windowMs) {
+        const { rows } = await db.query(`
+            INSERT INTO rate_limits (key, count, reset_at)
+            VALUES ($1, 1, NOW() + make_interval(secs => $2::float / 1000))
+            ON CONFLICT (key) DO UPDATE SET
+                count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+                reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+            RETURNING count, reset_at`, [key, windowMs]);
+        return { count: rows[0].count, resetAt: rows[0].reset_at };
+    },
+    async get(key) {
+        const { rows } = await db.query('SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > NOW()', [key]);
+        return rows.length > 0 ? { count: rows[0].count, resetAt: rows[0].reset_at } : null;
+    },
+    async set(key, count, windowMs) {
+        await db.query(`
+            INSERT INTO rate_limits (key, count, reset_at)
+            VALUES ($1, $2, NOW() + make_interval(secs => $3::float / 1000))
+            ON CONFLICT (key) DO UPDATE SET count = EXCLUDED.count, reset_at = EXCLUDED.reset_at`, [key, count, windowMs]);
+    },
+    async delete(key) {
+        await db.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    },
+    async prune() {
+        await db.query('DELETE FROM rate_limits WHERE reset_at <= NOW()');
+    },
+});
+
+let store = null;
+
+/**
+ * The process-wide store selected by RATE_LIMIT_STORE. Expired counters are pruned in the background.
+ */
+export const getRateLimitStore = () => {
+    if (store) return store;
+    const kind = process.env.RATE_LIMIT_STORE || 'memory';
+    if (kind !== 'memory' && kind !== 'postgres') {
+        throw new Error(`RATE_LIMIT_STORE must be "memory" or "postgres", got "${kind}".`);
+    }
+    store = kind === 'postgres' ? createPostgresStore() : createMemoryStore();
+
+    const pruneTimer = setInterval(() => {
+        store.prune().catch(error => logger.error('Failed to prune rate-limit counters:', error.message));
+    }, PRUNE_INTERVAL_MS);
+    pruneTimer.unref(); // never keeps the process alive on shutdown
+    logger.info(`Rate limiting uses the ${kind} store.`);
+    return store;
+};
@@ -0,0 +1,139 @@
+// utils/realtime.js - Cross-instance event bus over Postgres LISTEN/NOTIFY
+import { pool, getClient } from '../db.js';
+import logger from './logger.js';
+
+const PG_CHANNEL = 'synapse_events';
+// NOTIFY payloads are capped at 8000 bytes, so large fan-outs are split across several notifications
+const CHANNELS_PER_NOTIFY = 100;
+const RECONNECT_DELAY_MS = 5000;
+
+// Event types sent to realtime clients
+export const EVENTS = {
+    NOTIFICATION_CREATED: 'notification.created',
+    NOTIFICATION_READ: 'notification.read',
+    CLASS_CANCELLED: 'class.cancelled',
+    CLASS_RESCHEDULED: 'class.rescheduled',
+    CLASS_STATUS_CHANGED: 'class.status_changed',
+};
+
+export const userChannel = (userId) => `user:${userId}`;
+export const classChannel = (classId) => `class:${classId}`;
+
+const handlers = new Set();
+let listenClient = null;
+let reconnectTimer = null;
+let stopped = true;
+
+/**
+ * Publishes an event to every instance. Pass a transaction client to deliver it only if the
+ * transaction commits (NOTIFY is transactional); otherwise it is sent immediately.
+ * Publishing failures are logged, never thrown.
+ * @param {object} event - { channels: string[], type: string, data: object }
+ * @param {object} client - Optional transaction client (defaults to the pool)
+ */
+export const publishEvent = async (event, client = pool) => publishEvents([event], client);
+
+/**
+ * Publishes several events in one round trip, e.g. one per user when each carries that user's data.
+ * Same delivery and error semantics as publishEvent.
+ * @param {object[]} events - [{ channels, type, data }]
+ */
+export const publishEvents = async (events, client = pool) => {
+    const payloads = events.flatMap(({ channels, type, data = {} }) => {
+        if (!channels || channels.length === 0) return [];
+        const chunks = [];
+        for (let i = 0; i < channels.length; i += CHANNELS_PER_NOTIFY) {
+            chunks.push(JSON.stringify({ channels: channels.slice(i, i + CHANNELS_PER_NOTIFY), type, data }));
+        }
+        return chunks;
+    });
+    if (payloads.length === 0) return;
+    try {
+        await client.query('SELECT pg_notify($1, payload) FROM unnest($2::text[]) AS payload', [PG_CHANNEL, payloads]);
+    } catch (error) {
+        logger.error(`Failed to publish realtime event(s) ${[...new Set(events.map(e => e.type))].join(', ')}:`, error.message);
+    }
+};
+
+/**
+ * Registers a handler called with { channels, type, data } for every event from any instance.
+ * @returns {Function} - Unsubscribe function
+ */
+export const onEvent = (handler) => {
+    handlers.add(handler);
+    return () => handlers.delete(handler);
+};
+
+const dispatch = (message) => {
+    if (message.channel !== PG_CHANNEL) return;
+    let event;
+    try {
+        event = JSON.parse(message.payload);
+    } catch (e) {
+        logger.error('Ignoring malformed realtime event payload');
+        return;
+    }
+    handlers.forEach(handler => {
+        try {
+            handler(event);
+        } catch (error) {
+            logger.error(`Realtime handler failed for ${event.type}:`, error.message);
+        }
+    });
+};
+
+const scheduleReconnect = () => {
+    if (stopped || reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connectListener().catch(error => {
+            logger.error('Realtime listener reconnect failed:', error.message);
+            scheduleReconnect();
+        });
+    }, RECONNECT_DELAY_MS);
+};
+
+async function connectListener() {
+    const client = await getClient();
+    client.on('notification', dispatch);
+    client.on('error', (error) => {
+        logger.error('Realtime listener connection error:', error.message);
+        if (listenClient === client) listenClient = null;
+        client.release(error);
+        scheduleReconnect();
+    });
+    await client.query(`LISTEN ${PG_CHANNEL}`);
+    listenClient = client;
+    logger.info('Realtime listener connected');
+}
+
+/**
+ * Whether the LISTEN connection is up (false while reconnecting or before the listener starts).
+ */
+export const isRealtimeListenerConnected = () => !stopped && listenClient !== null;
+
+/**
+ * Holds a dedicated connection that LISTENs for events published by any instance.
+ */
+export const startRealtimeListener = async () => {
+    stopped = false;
+    await connectListener();
+};
+
+/**
+ * Stops listening and releases the dedicated connection.
+ */
+export const stopRealtimeListener = async () => {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (listenClient) {
+        const client = listenClient;
+        listenClient = null;
+        try {
+            await client.query(`UNLISTEN ${PG_CHANNEL}`);
+        } finally {
+            client.release();
+        }
+    }
+};
@@ -1,4 +1,9 @@
 // utils/responseHandler.js
+import { codeForStatus } from './errors.js';
+import logger from './logger.js';
+
+// res.req is set by Express; the id comes from middleware/requestId.js
+const getRequestId = (res) => res.req?.id ?? null;
 
 /**
  * Sends a standardized success JSON response.
@@ -6,17 +11,23 @@
 export const sendSuccess = (res, data = null, statusCode = 200) => {
     res.status(statusCode).json({
         success: true,
-        data: data
+        data: data,
+        requestId: getRequestId(res)
     });
 };
 
 /**
- * Sends a standardized error JSON response and logs it.
+ * Sends a standardized error JSON response and logs it:
+ * { success: false, error: { code, message, details }, requestId }
+ * @param {string} code - From ERROR_CODES in utils/errors.js; defaults to the generic code for the status
+ * @param {object} details - Extra machine-readable data (e.g. per-field errors), or null
  */
-export const sendError = (res, message = 'An unexpected error occurred', statusCode = 500) => {
-    console.error(`Error Response Sent (Status ${statusCode}): ${message}`);
+export const sendError = (res, message = 'An unexpected error occurred', statusCode = 500, code = codeForStatus(statusCode), details = null) => {
+    const level = statusCode >= 500 ? 'error' : 'warn';
+    logger[level](`Error Response Sent (Status ${statusCode}, ${code}): ${message}`);
     res.status(statusCode).json({
         success: false,
-        error: message
+        error: { code, message, details },
+        requestId: getRequestId(res)
     });
-};
\ No newline at end of file
+};
@@ -0,0 +1,48 @@
+// utils/rooms.js
+
+export const MAX_ROOM_FEATURES = 20;
+
+/**
+ * Resolves the room for a class from either a catalog id or free text.
+ * Free text that matches a catalog room by name is linked to it; anything else is kept
+ * as a plain location so existing clients keep working.
+ * @param {object} db - pool or transaction client
+ * @param {object} input - { roomId, room }
+ * @returns {Promise<object>} - { roomId, location, capacity } or { error, statusCode }
+ */
+export const resolveRoom = async (db, { roomId, room }) => {
+    if (roomId !== undefined && roomId !== null && roomId !== '') {
+        const roomIdInt = parseInt(roomId, 10);
+        if (isNaN(roomIdInt)) return { error: 'Invalid room ID.', statusCode: 400 };
+        const { rows } = await db.query('SELECT id, name, capacity FROM rooms WHERE id = $1 AND is_active = TRUE', [roomIdInt]);
+        if (rows.length === 0) return { error: 'Room not found.', statusCode: 404 };
+        return { roomId: rows[0].id, location: rows[0].name, capacity: rows[0].capacity };
+    }
+
+    const location = typeof room === 'string' ? room.trim() : '';
+    if (!location) return { error: 'Room is required.', statusCode: 400 };
+    const { rows } = await db.query(
+        'SELECT id, name, capacity FROM rooms WHERE normalize_location(name) = normalize_location($1) AND is_active = TRUE',
+        [location]);
+    if (rows.length === 0) return { roomId: null, location, capacity: null };
+    return { roomId: rows[0].id, location: rows[0].name, capacity: rows[0].capacity };
+};
+
+/**
+ * Warnings (not errors) for a class whose seat limit is larger than its room.
+ */
+export const capacityWarnings = (room, maxStudents) => {
+    if (!room.capacity || maxStudents <= room.capacity) return [];
+    return [`Max Students (${maxStudents}) exceeds the capacity of ${room.location} (${room.capacity}).`];
+};
+
+/**
+ * Normalizes a features list from an array or comma-separated string: trimmed, lower-case, unique.
+ * Returns null if the input is not a list of strings.
+ */
+export const parseFeatures = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    if (!list.every(item => typeof item === 'string')) return null;
+    return [...new Set(list.map(item => item.trim().toLowerCase()).filter(Boolean))];
+};
@@ -0,0 +1,132 @@
+// utils/roster.js - CSV roster import for HOCs
+import { parseCsv } from './csv.js';
+import { enrollOrWaitlist } from './enrollment.js';
+
+export const MAX_ROSTER_ROWS = 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_HEADERS = ['email', 'e-mail', 'email address'];
+const NAME_HEADERS = ['name', 'full name', 'full_name', 'fullname', 'student name'];
+
+/**
+ * Reads roster entries from CSV text. A header row is optional: with one, the "email" and
+ * "name" columns are used; without one, the first column is the email and the second the name.
+ * Row numbers are 1-based CSV records (header included, blank lines skipped).
+ * @returns {object} - { entries: [{ row, email, name }], invalid: [{ row, value, reason }] }
+ */
+export const parseRosterCsv = (text) => {
+    const rows = parseCsv(text);
+    let emailCol = 0;
+    let nameCol = 1;
+    let firstDataRow = 0;
+
+    const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+    if (header.some(cell => EMAIL_HEADERS.includes(cell))) {
+        emailCol = header.findIndex(cell => EMAIL_HEADERS.includes(cell));
+        nameCol = header.findIndex(cell => NAME_HEADERS.includes(cell));
+        firstDataRow = 1;
+    }
+
+    const entries = [];
+    const invalid = [];
+    rows.slice(firstDataRow).forEach((cells, index) => {
+        const row = firstDataRow + index + 1;
+        const value = (cells[emailCol] || '').trim();
+        const name = nameCol >= 0 ? (cells[nameCol] || '').trim() : '';
+        if (!EMAIL_PATTERN.test(value)) {
+            invalid.push({ row, value, reason: value ? 'Invalid email address.' : 'Missing email address.' });
+            return;
+        }
+        entries.push({ row, email: value.toLowerCase(), name: name || null });
+    });
+    return { entries, invalid };
+};
+
+/**
+ * Works out what importing the entries into a class would do, without writing anything.
+ * The class must be locked (lockClassForEnrollment) so the plan still holds when it is applied.
+ * @returns {Promise<object>} - Report with matched, unknownEmails, duplicates, alreadyEnrolled,
+ *   alreadyWaitlisted and capacity; toEnroll / toWaitlist hold the matched users that would be added.
+ */
+export const planRosterImport = async (client, classInfo, entries) => {
+    const seen = new Map();
+    const duplicates = [];
+    const unique = [];
+    entries.forEach(entry => {
+        if (seen.has(entry.email)) {
+            duplicates.push({ row: entry.row, email: entry.email, firstRow: seen.get(entry.email) });
+        } else {
+            seen.set(entry.email, entry.row);
+            unique.push(entry);
+        }
+    });
+
+    const emails = unique.map(e => e.email);
+    const { rows: users } = await client.query(`
+        SELECT u.id, u.email, u.full_name,
+               EXISTS (SELECT 1 FROM enrollments e WHERE e.class_id = $2 AND e.student_id = u.id) as is_enrolled,
+               EXISTS (SELECT 1 FROM class_waitlist w WHERE w.class_id = $2 AND w.student_id = u.id) as is_waitlisted
+        FROM users u
+        WHERE LOWER(u.email) = ANY($1::text[])`, [emails, classInfo.id]);
+    const usersByEmail = new Map(users.map(u => [u.email.toLowerCase(), u]));
+
+    const matched = [];
+    const unknownEmails = [];
+    const alreadyEnrolled = [];
+    const alreadyWaitlisted = [];
+    unique.forEach(entry => {
+        const user = usersByEmail.get(entry.email);
+        if (!user) {
+            unknownEmails.push({ row: entry.row, email: entry.email, name: entry.name });
+            return;
+        }
+        const match = {
+            row: entry.row,
+            email: entry.email,
+            userId: user.id,
+            fullName: user.full_name,
+            // Names are informational only; a mismatch is flagged for the HOC to double-check
+            nameMismatch: Boolean(entry.name) && entry.name.toLowerCase() !== user.full_name.toLowerCase(),
+        };
+        if (user.is_enrolled) alreadyEnrolled.push(match);
+        else if (user.is_waitlisted) alreadyWaitlisted.push(match);
+        else matched.push(match);
+    });
+
+    const available = Math.max(classInfo.max_students - classInfo.enrolledCount, 0);
+    const toEnroll = matched.slice(0, available);
+    const toWaitlist = matched.slice(available);
+
+    return {
+        matched,
+        unknownEmails,
+        duplicates,
+        alreadyEnrolled,
+        alreadyWaitlisted,
+        capacity: {
+            maxStudents: classInfo.max_students,
+            enrolledCount: classInfo.enrolledCount,
+            available,
+            toEnroll: toEnroll.length,
+            // Students beyond capacity go on the waitlist, in file order
+            overflow: toWaitlist.map(({ row, email, userId }) => ({ row, email, userId })),
+        },
+        toEnroll,
+        toWaitlist,
+    };
+};
+
+/**
+ * Applies a plan from planRosterImport inside the same transaction.
+ * @returns {Promise<object>} - { enrolled: number, waitlisted: number }
+ */
+export const applyRosterImport = async (client, classInfo, plan) => {
+    let enrolled = 0;
+    let waitlisted = 0;
+    for (const match of [...plan.toEnroll, ...plan.toWaitlist]) {
+        const outcome = await enrollOrWaitlist(client, classInfo, match.userId);
+        if (outcome.status === 'enrolled') enrolled++;
+        else if (outcome.status === 'waitlisted') waitlisted++;
+    }
+    return { enrolled, waitlisted };
+};
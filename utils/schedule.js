@@ -0,0 +1,106 @@
+// utils/schedule.js
+import { INSTITUTION_TIMEZONE, zonedDateTimeToUtc, getZonedDateString, getZonedTimeString } from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_SERIES_OCCURRENCES = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Round-trips through Date so impossible dates like 2026-02-30 are rejected rather than rolled over
+export const isValidDateString = (value) => {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const parsed = Date.parse(`${value}T00:00:00Z`);
+    return !isNaN(parsed) && new Date(parsed).toISOString().slice(0, 10) === value;
+};
+
+export const isValidTimeString = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+/**
+ * Combines a YYYY-MM-DD date and HH:MM time, read as wall-clock time in the given zone, into a Date.
+ * Returns null if the result is not a valid date.
+ */
+export const combineDateAndTime = (date, time, timeZone = INSTITUTION_TIMEZONE) => {
+    if (!isValidDateString(date) || !isValidTimeString(time)) return null;
+    return zonedDateTimeToUtc(date, time, timeZone);
+};
+
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(:00)?$/;
+
+/**
+ * Parses a class time from the API. "YYYY-MM-DD HH:MM" is wall-clock time in the given zone;
+ * a full ISO timestamp with Z or an offset is taken as-is. Returns null if invalid.
+ */
+export const parseClassTimeInput = (value, timeZone = INSTITUTION_TIMEZONE) => {
+    if (typeof value !== 'string') return null;
+    const local = value.trim().match(LOCAL_DATE_TIME_PATTERN);
+    if (local) return combineDateAndTime(local[1], local[2], timeZone);
+    if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim())) return null;
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+/**
+ * Formats a class start time for display, e.g. "Mar 2, 2026, 9:30 AM GMT+1".
+ * Defaults to the institution zone, which is what class-wide notifications use.
+ */
+export const formatClassTime = (value, timeZone = INSTITUTION_TIMEZONE) => {
+    if (!value) return 'TBA';
+    return new Date(value).toLocaleString('en-US', {
+        timeZone, year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short',
+    });
+};
+
+/**
+ * Formats just the time of day, e.g. "9:30 AM".
+ */
+export const formatClassTimeOfDay = (value, timeZone = INSTITUTION_TIMEZONE) => {
+    if (!value) return 'TBA';
+    return new Date(value).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit', hour12: true });
+};
+
+/**
+ * Expands a weekly recurrence into concrete start times.
+ * @param {object} rule - { weekdays: number[] (0 = Sunday), time: 'HH:MM', startDate, endDate, exceptionDates, timeZone }
+ * @returns {Date[]} - Occurrence start times in chronological order
+ */
+export const generateWeeklyOccurrences = ({ weekdays, time, startDate, endDate, exceptionDates = [], timeZone = INSTITUTION_TIMEZONE }) => {
+    const days = new Set(weekdays);
+    const skipped = new Set(exceptionDates);
+    const last = Date.parse(`${endDate}T00:00:00Z`);
+    const occurrences = [];
+
+    // Walk calendar days in UTC so DST changes never skip or repeat a date
+    for (let day = Date.parse(`${startDate}T00:00:00Z`); day <= last; day += DAY_MS) {
+        const current = new Date(day);
+        const dateString = current.toISOString().slice(0, 10);
+        if (!days.has(current.getUTCDay()) || skipped.has(dateString)) continue;
+
+        // Same wall-clock time every week, so the UTC instant moves when DST starts or ends
+        occurrences.push(combineDateAndTime(dateString, time, timeZone));
+        if (occurrences.length > MAX_SERIES_OCCURRENCES) break;
+    }
+    return occurrences;
+};
+
+const dateStringToMs = (date) => Date.parse(`${date}T00:00:00Z`);
+
+/**
+ * Moves a run of series occurrences the way one of them was moved. Each keeps its own date (plus
+ * the selected occurrence's day shift) and gets the new wall-clock time of day in the series' zone,
+ * so occurrences across a DST change keep the same local time instead of drifting by an hour.
+ * @param {Date[]} startTimes - Current start times of the occurrences to move
+ * @param {Date} selectedStart - Current start time of the occurrence that was moved
+ * @param {Date} newStart - Its new start time
+ * @returns {Date[]} - New start times, in the same order as startTimes
+ */
+export const rescheduleOccurrences = (startTimes, selectedStart, newStart, timeZone = INSTITUTION_TIMEZONE) => {
+    const dayShiftMs = dateStringToMs(getZonedDateString(newStart, timeZone)) - dateStringToMs(getZonedDateString(selectedStart, timeZone));
+    const time = getZonedTimeString(newStart, timeZone);
+    return startTimes.map((start) => {
+        // Exactly as requested, even in a repeated hour where the wall clock alone is ambiguous
+        if (new Date(start).getTime() === new Date(selectedStart).getTime()) return new Date(newStart);
+        const date = new Date(dateStringToMs(getZonedDateString(start, timeZone)) + dayShiftMs).toISOString().slice(0, 10);
+        return zonedDateTimeToUtc(date, time, timeZone);
+    });
+};
@@ -0,0 +1,200 @@
+// utils/schema.js - Field rules for middleware/validate.js
+//
+// Each builder returns a rule { check(value) -> { value } | { error }, optional, nullable, default }.
+// Common options on every builder:
+//   optional: true  - the field may be omitted (undefined or '')
+//   nullable: true  - null is accepted and kept as null
+//   default: value  - used when the field is omitted (implies optional)
+// Values are coerced where it is unambiguous ("60" -> 60, "true" -> true), since query strings
+// and form posts only carry strings.
+
+import { isValidDateString, isValidTimeString } from './schedule.js';
+import { isValidTimeZone } from './timezone.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const LOCAL_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:00)?$/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const ok = (value) => ({ value });
+const fail = (error) => ({ error });
+
+const makeRule = (options, check) => ({
+    check,
+    optional: Boolean(options.optional) || options.default !== undefined,
+    nullable: Boolean(options.nullable),
+    default: options.default,
+});
+
+// describe turns a bound into the end of the message, e.g. (n) => `${n} characters long`
+const checkRange = (value, { min, max }, verb = 'be', describe = (n) => n) => {
+    if (min !== undefined && value < min) return `must ${verb} at least ${describe(min)}`;
+    if (max !== undefined && value > max) return `must ${verb} at most ${describe(max)}`;
+    return null;
+};
+
+/**
+ * Text. Options: min / max (length after trimming), trim (default true), lowercase, pattern + patternMessage, oneOf.
+ */
+export const string = (options = {}) => makeRule(options, (value) => {
+    if (typeof value !== 'string') return fail('must be a string');
+    let text = options.trim === false ? value : value.trim();
+    if (options.lowercase) text = text.toLowerCase();
+    if (text === '') return fail('must not be blank');
+    if (options.oneOf && !options.oneOf.includes(text)) return fail(`must be one of: ${options.oneOf.join(', ')}`);
+    const rangeError = checkRange(text.length, options, 'be', (n) => `${n} character${n === 1 ? '' : 's'} long`);
+    if (rangeError) return fail(rangeError);
+    if (options.pattern && !options.pattern.test(text)) return fail(options.patternMessage || 'has an invalid format');
+    return ok(text);
+});
+
+/**
+ * One of a fixed list of strings.
+ */
+export const oneOf = (values, options = {}) => string({ ...options, oneOf: values });
+
+/**
+ * Email address, lower-cased.
+ */
+export const email = (options = {}) => string({
+    max: 255, ...options, lowercase: true, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address',
+});
+
+/**
+ * Whole number; numeric strings are coerced. Options: min, max.
+ */
+export const integer = (options = {}) => makeRule(options, (value) => {
+    const number = typeof value === 'string' && INTEGER_PATTERN.test(value.trim()) ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isSafeInteger(number)) return fail('must be a whole number');
+    const rangeError = checkRange(number, options);
+    return rangeError ? fail(rangeError) : ok(number);
+});
+
+/**
+ * Any finite number; numeric strings are coerced. Options: min, max.
+ */
+export const number = (options = {}) => makeRule(options, (value) => {
+    const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return fail('must be a number');
+    const rangeError = checkRange(parsed, options);
+    return rangeError ? fail(rangeError) : ok(parsed);
+});
+
+/**
+ * true / false; the strings "true" and "false" are coerced.
+ */
+export const boolean = (options = {}) => makeRule(options, (value) => {
+    if (value === true || value === 'true') return ok(true);
+    if (value === false || value === 'false') return ok(false);
+    return fail('must be true or false');
+});
+
+/**
+ * Calendar date, YYYY-MM-DD.
+ */
+export const date = (options = {}) => makeRule(options, (value) =>
+    (isValidDateString(value) ? ok(value) : fail('must be a date in YYYY-MM-DD format')));
+
+/**
+ * Time of day, HH:MM (24-hour).
+ */
+export const time = (options = {}) => makeRule(options, (value) =>
+    (isValidTimeString(value) ? ok(value) : fail('must be a time in HH:MM format')));
+
+/**
+ * A class time: "YYYY-MM-DD HH:MM" (wall-clock time, converted by the route in the user's zone)
+ * or a full ISO 8601 timestamp with Z or an offset. Kept as a string.
+ */
+export const dateTime = (options = {}) => makeRule(options, (value) => {
+    if (typeof value !== 'string') return fail('must be a string');
+    const text = value.trim();
+    if (LOCAL_DATE_TIME_PATTERN.test(text)) {
+        const [day, clock] = text.split(/[ T]/);
+        return isValidDateString(day) && isValidTimeString(clock.slice(0, 5)) ? ok(text) : fail('is not a valid date and time');
+    }
+    if (OFFSET_PATTERN.test(text) && !isNaN(Date.parse(text))) return ok(text);
+    return fail('must be "YYYY-MM-DD HH:MM" or an ISO 8601 timestamp with an offset');
+});
+
+/**
+ * IANA time zone name, e.g. "Africa/Lagos".
+ */
+export const timeZone = (options = {}) => makeRule(options, (value) =>
+    (isValidTimeZone(value) ? ok(value) : fail('must be a valid IANA time zone name (e.g. "Europe/London")')));
+
+/**
+ * Any string Date.parse understands (used for since/until filters). Normalized to ISO in UTC.
+ */
+export const timestamp = (options = {}) => makeRule(options, (value) => {
+    if (typeof value !== 'string' || isNaN(Date.parse(value))) return fail('must be a valid date/time');
+    return ok(new Date(value).toISOString());
+});
+
+/**
+ * List whose items all match a rule. Options: min, max (item counts), unique.
+ */
+export const array = (itemRule, options = {}) => makeRule(options, (value, path) => {
+    if (!Array.isArray(value)) return fail('must be a list');
+    const rangeError = checkRange(value.length, options, 'have', (n) => `${n} item${n === 1 ? '' : 's'}`);
+    if (rangeError) return fail(rangeError);
+    const items = [];
+    for (let i = 0; i < value.length; i++) {
+        const result = checkField(itemRule, value[i], `${path}[${i}]`);
+        if (result.errors) return { errors: result.errors };
+        items.push(result.value);
+    }
+    if (options.unique && new Set(items).size !== items.length) return fail('must not contain duplicates');
+    return ok(items);
+});
+
+/**
+ * Plain object. With a shape, its fields are validated like a body (unknown keys rejected);
+ * without one, any JSON object is accepted as-is.
+ */
+export const object = (shape = null, options = {}) => makeRule(options, (value, path) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+    if (!shape) return ok(value);
+    const result = validateShape(shape, value, { prefix: `${path}.` });
+    return result.errors.length > 0 ? { errors: result.errors } : ok(result.value);
+});
+
+// Runs one rule, returning { value } or { errors: [{ field, message }] }
+function checkField(rule, raw, path) {
+    if (raw === undefined || raw === '') {
+        if (rule.default !== undefined) return { value: rule.default };
+        if (rule.optional) return { value: undefined };
+        return { errors: [{ field: path, message: `${path} is required.` }] };
+    }
+    if (raw === null) {
+        if (rule.nullable) return { value: null };
+        return { errors: [{ field: path, message: `${path} must not be null.` }] };
+    }
+    const result = rule.check(raw, path);
+    if (result.errors) return result;
+    if (result.error) return { errors: [{ field: path, message: `${path} ${result.error}.` }] };
+    return result;
+}
+
+/**
+ * Validates an object against a shape ({ field: rule }).
+ * @param {object} options - { allowUnknown: keep fields not in the shape, prefix: for nested paths }
+ * @returns {object} - { value, errors: [{ field, message }] }; omitted optional fields are left out of value
+ */
+export function validateShape(shape, input, { allowUnknown = false, prefix = '' } = {}) {
+    const source = input && typeof input === 'object' ? input : {};
+    const value = allowUnknown ? { ...source } : {};
+    const errors = [];
+
+    for (const [key, rule] of Object.entries(shape)) {
+        const result = checkField(rule, source[key], `${prefix}${key}`);
+        if (result.errors) errors.push(...result.errors);
+        else if (result.value !== undefined) value[key] = result.value;
+        else delete value[key];
+    }
+    if (!allowUnknown) {
+        Object.keys(source)
+            .filter(key => !Object.hasOwn(shape, key))
+            .forEach(key => errors.push({ field: `${prefix}${key}`, message: `${prefix}${key} is not an allowed field.` }));
+    }
+    return { value, errors };
+}
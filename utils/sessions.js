@@ -0,0 +1,120 @@
+// utils/sessions.js
+import { transaction } from '../db.js';
+import { generateAccessToken, generateOpaqueToken, hashToken, REFRESH_TOKEN_TTL_DAYS } from './jwt.js';
+import logger from './logger.js';
+
+/**
+ * Extracts device metadata for a new session from the request.
+ */
+export const getSessionMetadata = (req) => ({
+    deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.slice(0, 255) : null,
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null,
+});
+
+const issueRefreshToken = async (client, sessionId) => {
+    const refreshToken = generateOpaqueToken();
+    await client.query(
+        'INSERT INTO refresh_tokens (session_id, token_hash, created_at) VALUES ($1, $2, NOW())',
+        [sessionId, hashToken(refreshToken)]
+    );
+    return refreshToken;
+};
+
+/**
+ * Creates a session for a user and returns a fresh access/refresh token pair.
+ */
+export const createSession = async (userId, { deviceName, userAgent, ipAddress }) => {
+    return transaction(async (client) => {
+        const { rows } = await client.query(`
+            INSERT INTO user_sessions (user_id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at)
+            VALUES ($1, $2, $3, $4, NOW(), NOW(), NOW() + make_interval(days => $5))
+            RETURNING id`,
+            [userId, deviceName, userAgent, ipAddress, REFRESH_TOKEN_TTL_DAYS]);
+        const sessionId = rows[0].id;
+        const refreshToken = await issueRefreshToken(client, sessionId);
+        return { sessionId, token: generateAccessToken(userId, sessionId), refreshToken };
+    });
+};
+
+/**
+ * Exchanges a refresh token for a new token pair, rotating the refresh token.
+ * Presenting a refresh token that was already rotated revokes the whole session.
+ * @returns {Promise<object>} - { token, refreshToken, sessionId, userId } or { error }
+ */
+export const rotateSession = async (refreshToken) => {
+    return transaction(async (client) => {
+        const { rows } = await client.query(`
+            SELECT rt.id as token_id, rt.rotated_at, s.id as session_id, s.user_id,
+                   s.revoked_at, s.expires_at < NOW() as expired
+            FROM refresh_tokens rt
+            JOIN user_sessions s ON s.id = rt.session_id
+            WHERE rt.token_hash = $1
+            FOR UPDATE OF rt, s`, [hashToken(refreshToken)]);
+
+        if (rows.length === 0) return { error: 'Invalid refresh token.' };
+        const current = rows[0];
+
+        if (current.revoked_at) return { error: 'Session has been revoked.' };
+        if (current.rotated_at) {
+            logger.warn(`Refresh token reuse detected for session ${current.session_id}; revoking session.`);
+            await client.query(
+                `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'token_reuse' WHERE id = $1`,
+                [current.session_id]
+            );
+            await client.query('DELETE FROM push_tokens WHERE session_id = $1', [current.session_id]);
+            return { error: 'Refresh token reuse detected. Please log in again.' };
+        }
+        if (current.expired) return { error: 'Session expired. Please log in again.' };
+
+        await client.query('UPDATE refresh_tokens SET rotated_at = NOW() WHERE id = $1', [current.token_id]);
+        await client.query(
+            'UPDATE user_sessions SET last_used_at = NOW(), expires_at = NOW() + make_interval(days => $2) WHERE id = $1',
+            [current.session_id, REFRESH_TOKEN_TTL_DAYS]
+        );
+        const newRefreshToken = await issueRefreshToken(client, current.session_id);
+
+        return {
+            userId: current.user_id,
+            sessionId: current.session_id,
+            token: generateAccessToken(current.user_id, current.session_id),
+            refreshToken: newRefreshToken,
+        };
+    });
+};
+
+/**
+ * Revokes a single session and unregisters the push tokens of devices it registered.
+ * Returns true if an active session was revoked.
+ */
+export const revokeSession = async (sessionId, reason = 'logout') => {
+    return transaction(async (client) => {
+        const { rowCount } = await client.query(
+            'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2 WHERE id = $1 AND revoked_at IS NULL',
+            [sessionId, reason]
+        );
+        await client.query('DELETE FROM push_tokens WHERE session_id = $1', [sessionId]);
+        return rowCount > 0;
+    });
+};
+
+/**
+ * Revokes every active session belonging to a user and unregisters their push tokens.
+ * @param {object} options - { exceptSessionId } keeps one session (e.g. the caller's) alive
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason = 'logout_all', { exceptSessionId = null } = {}) => {
+    return transaction(async (client) => {
+        const { rowCount } = await client.query(
+            `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+             WHERE user_id = $1 AND revoked_at IS NULL AND ($3::int IS NULL OR id <> $3)`,
+            [userId, reason, exceptSessionId]
+        );
+        // Devices registered by the kept session stay subscribed
+        await client.query(
+            'DELETE FROM push_tokens WHERE user_id = $1 AND ($2::int IS NULL OR session_id IS DISTINCT FROM $2)',
+            [userId, exceptSessionId]
+        );
+        return rowCount;
+    });
+};
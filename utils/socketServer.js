@@ -0,0 +1,162 @@
+// utils/socketServer.js - WebSocket endpoint (/realtime) attached to the HTTP server
+import { WebSocketServer } from 'ws';
+import { pool } from '../db.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { onEvent, userChannel, classChannel } from './realtime.js';
+import logger from './logger.js';
+
+const REALTIME_PATH = '/realtime';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_CLASS_SUBSCRIPTIONS = 200;
+// setTimeout overflows above 2^31 - 1 ms (~24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Close codes in the 4000-4999 application range
+const CLOSE_TOKEN_EXPIRED = 4001;
+
+const rejectUpgrade = (socket, statusLine) => {
+    socket.write(`HTTP/1.1 ${statusLine}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+};
+
+// Browsers and React Native can't always set headers on a socket, so ?token= is accepted too
+const getTokenFromRequest = (req, url) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) return authHeader.split(' ')[1];
+    return url.searchParams.get('token');
+};
+
+// Only classes the user is enrolled in (or owns as HOC) may be subscribed to
+async function filterAllowedClassIds(user, classIds) {
+    const { rows } = await pool.query(`
+        SELECT class_id as id FROM enrollments WHERE student_id = $1 AND class_id = ANY($2::int[])
+        UNION
+        SELECT id FROM classes WHERE hoc_id = $1 AND id = ANY($2::int[])`,
+        [user.id, classIds]);
+    return rows.map(r => r.id);
+}
+
+/**
+ * Attaches the realtime WebSocket server to an HTTP server.
+ * Each connection is subscribed to its own inbox and may subscribe to its classes with
+ * { "type": "subscribe", "classIds": [..] } (and "unsubscribe" likewise).
+ * @returns {object} - { close() } to disconnect all clients on shutdown
+ */
+export const attachRealtimeServer = (httpServer) => {
+    const wss = new WebSocketServer({ noServer: true });
+    const subscribers = new Map(); // channel -> Set<ws>
+
+    const subscribe = (ws, channel) => {
+        if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+        subscribers.get(channel).add(ws);
+        ws.channels.add(channel);
+    };
+    const unsubscribe = (ws, channel) => {
+        subscribers.get(channel)?.delete(ws);
+        if (subscribers.get(channel)?.size === 0) subscribers.delete(channel);
+        ws.channels.delete(channel);
+    };
+    const send = (ws, message) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    };
+
+    const stopListening = onEvent(({ channels, type, data }) => {
+        channels.forEach(channel => {
+            subscribers.get(channel)?.forEach(ws => send(ws, { type, channel, data }));
+        });
+    });
+
+    async function handleClientMessage(ws, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (e) {
+            return send(ws, { type: 'error', error: 'Messages must be JSON.' });
+        }
+
+        if (message.type === 'ping') return send(ws, { type: 'pong' });
+
+        if (message.type === 'subscribe' || message.type === 'unsubscribe') {
+            const classIds = Array.isArray(message.classIds)
+                ? message.classIds.map(id => parseInt(id, 10)).filter(id => !isNaN(id))
+                : [];
+            if (classIds.length === 0) return send(ws, { type: 'error', error: 'classIds must be a non-empty list.' });
+
+            if (message.type === 'unsubscribe') {
+                classIds.forEach(id => unsubscribe(ws, classChannel(id)));
+                return send(ws, { type: 'unsubscribed', classIds });
+            }
+
+            if (ws.channels.size + classIds.length > MAX_CLASS_SUBSCRIPTIONS) {
+                return send(ws, { type: 'error', error: `At most ${MAX_CLASS_SUBSCRIPTIONS} subscriptions per connection.` });
+            }
+            const allowed = await filterAllowedClassIds(ws.user, classIds);
+            allowed.forEach(id => subscribe(ws, classChannel(id)));
+            return send(ws, { type: 'subscribed', classIds: allowed, rejected: classIds.filter(id => !allowed.includes(id)) });
+        }
+
+        send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+
+    wss.on('connection', (ws, auth) => {
+        ws.user = auth.user;
+        ws.channels = new Set();
+        ws.isAlive = true;
+        subscribe(ws, userChannel(auth.user.id));
+
+        // The access token is short-lived; the client reconnects with a fresh one, which re-checks the session
+        const expiresInMs = Math.min(Math.max(auth.expiresAt - Date.now(), 0), MAX_TIMER_MS);
+        const expiryTimer = setTimeout(() => ws.close(CLOSE_TOKEN_EXPIRED, 'Token expired'), expiresInMs);
+
+        ws.on('pong', () => { ws.isAlive = true; });
+        ws.on('message', (raw) => {
+            handleClientMessage(ws, raw).catch(error => {
+                logger.error(`Realtime message handling failed for user ${ws.user.id}:`, error.message);
+                send(ws, { type: 'error', error: 'Failed to process message.' });
+            });
+        });
+        ws.on('close', () => {
+            clearTimeout(expiryTimer);
+            [...ws.channels].forEach(channel => unsubscribe(ws, channel));
+        });
+
+        send(ws, { type: 'ready', userId: auth.user.id });
+    });
+
+    httpServer.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== REALTIME_PATH) return rejectUpgrade(socket, '404 Not Found');
+
+        const token = getTokenFromRequest(req, url);
+        if (!token) return rejectUpgrade(socket, '401 Unauthorized');
+
+        try {
+            const auth = await authenticateToken(token);
+            if (auth.error) return rejectUpgrade(socket, '401 Unauthorized');
+            wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, auth));
+        } catch (error) {
+            logger.error('Realtime handshake failed:', error.message);
+            rejectUpgrade(socket, '500 Internal Server Error');
+        }
+    });
+
+    // Drop connections that stopped answering pings
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (!ws.isAlive) return ws.terminate();
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    logger.info(`Realtime WebSocket endpoint ready at ${REALTIME_PATH}`);
+
+    return {
+        close() {
+            clearInterval(heartbeat);
+            stopListening();
+            wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+            wss.close();
+        },
+    };
+};
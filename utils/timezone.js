@@ -0,0 +1,122 @@
+// utils/timezone.js - IANA time zone helpers built on Intl (no tz database dependency)
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Checks that a string is an IANA zone name Intl understands, e.g. "Africa/Lagos".
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// Zone for users without a preference and for messages sent to a whole class
+export const INSTITUTION_TIMEZONE = process.env.INSTITUTION_TIMEZONE || 'UTC';
+
+/**
+ * The zone to use for a user: their own preference, else the institution's.
+ */
+export const resolveTimeZone = (user) => (user?.timezone && isValidTimeZone(user.timezone) ? user.timezone : INSTITUTION_TIMEZONE);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const partsFormatters = new Map();
+const getPartsFormatter = (timeZone) => {
+    if (!partsFormatters.has(timeZone)) {
+        partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+        }));
+    }
+    return partsFormatters.get(timeZone);
+};
+
+// Wall-clock fields of an instant in a zone
+const getZonedParts = (date, timeZone) => {
+    const parts = Object.fromEntries(getPartsFormatter(timeZone).formatToParts(date).map(p => [p.type, p.value]));
+    return {
+        year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+        hour: Number(parts.hour), minute: Number(parts.minute), second: Number(parts.second),
+    };
+};
+
+/**
+ * Minutes the zone is ahead of UTC at the given instant (e.g. 60 for Europe/Berlin in winter).
+ */
+export const getTimeZoneOffsetMinutes = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Converts a wall-clock date and time in a zone to the instant it denotes.
+ * Times skipped by a spring-forward DST jump come out shifted later by the size of the jump;
+ * ambiguous times in the repeated hour resolve to the later (standard time) instant.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {Date|null}
+ */
+export const zonedDateTimeToUtc = (date, time, timeZone) => {
+    const wallClock = Date.parse(`${date}T${time}:00Z`);
+    if (isNaN(wallClock)) return null;
+    // Any DST change near the wall clock lies between these two instants, so the zone's
+    // offsets a day either side are the only ones the answer can have.
+    const offsetBefore = getTimeZoneOffsetMinutes(new Date(wallClock - DAY_MS), timeZone);
+    const offsetAfter = getTimeZoneOffsetMinutes(new Date(wallClock + DAY_MS), timeZone);
+    const matches = [offsetBefore, offsetAfter]
+        .map(offset => wallClock - offset * 60000)
+        .filter(instant => instant + getTimeZoneOffsetMinutes(new Date(instant), timeZone) * 60000 === wallClock);
+    if (matches.length > 0) return new Date(Math.max(...matches));
+    // Neither offset reproduces the wall clock, so it fell in a spring-forward gap; read with the
+    // pre-jump offset it lands that many minutes past the jump.
+    return new Date(wallClock - offsetBefore * 60000);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * The calendar date (YYYY-MM-DD) of an instant in a zone.
+ */
+export const getZonedDateString = (date, timeZone) => {
+    const p = getZonedParts(new Date(date), timeZone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+/**
+ * The wall-clock time of day (HH:MM) of an instant in a zone.
+ */
+export const getZonedTimeString = (date, timeZone) => {
+    const p = getZonedParts(new Date(date), timeZone);
+    return `${pad(p.hour)}:${pad(p.minute)}`;
+};
+
+/**
+ * Start and end instants of the zone's calendar day containing the given instant.
+ * @returns {{ start: Date, end: Date, date: string }}
+ */
+export const getZonedDayBounds = (date, timeZone) => {
+    const day = getZonedDateString(date, timeZone);
+    const nextDay = new Date(Date.parse(`${day}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+    return { start: zonedDateTimeToUtc(day, '00:00', timeZone), end: zonedDateTimeToUtc(nextDay, '00:00', timeZone), date: day };
+};
+
+/**
+ * ISO 8601 timestamp with the zone's offset, e.g. "2026-03-02T09:30:00+01:00".
+ */
+export const toZonedIsoString = (value, timeZone) => {
+    if (!value) return null;
+    const date = new Date(value);
+    const p = getZonedParts(date, timeZone);
+    const offset = getTimeZoneOffsetMinutes(date, timeZone);
+    const sign = offset < 0 ? '-' : '+';
+    const abs = Math.abs(offset);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+        `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
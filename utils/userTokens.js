@@ -0,0 +1,48 @@
+// utils/userTokens.js
+import { pool } from '../db.js';
+import { generateOpaqueToken, hashToken } from './jwt.js';
+
+// Lifetime of each single-use token, in minutes
+export const TOKEN_TTL_MINUTES = {
+    verify_email: 24 * 60,
+    reset_password: 30,
+    change_email: 24 * 60,
+};
+
+/**
+ * Issues a single-use token for a user, invalidating any earlier unused token of the same purpose.
+ * @param {string} purpose - One of the keys of TOKEN_TTL_MINUTES
+ * @param {object} client - Optional transaction client (defaults to the pool)
+ * @returns {Promise<string>} - The raw token; only its hash is stored
+ */
+export const createUserToken = async (userId, purpose, client = pool) => {
+    const ttl = TOKEN_TTL_MINUTES[purpose];
+    if (!ttl) throw new Error(`Unknown token purpose: ${purpose}`);
+
+    await client.query(
+        'UPDATE user_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+        [userId, purpose]
+    );
+    const token = generateOpaqueToken();
+    await client.query(
+        `INSERT INTO user_tokens (user_id, purpose, token_hash, created_at, expires_at)
+         VALUES ($1, $2, $3, NOW(), NOW() + make_interval(mins => $4))`,
+        [userId, purpose, hashToken(token), ttl]
+    );
+    return token;
+};
+
+/**
+ * Marks a token as used if it is valid, unexpired and unused.
+ * @returns {Promise<number|null>} - The owning user id, or null if the token cannot be used
+ */
+export const consumeUserToken = async (token, purpose, client = pool) => {
+    if (!token || typeof token !== 'string') return null;
+    const { rows } = await client.query(
+        `UPDATE user_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token), purpose]
+    );
+    return rows[0]?.user_id ?? null;
+};
@@ -0,0 +1,126 @@
+// workers/classLifecycleWorker.js - Moves classes scheduled -> ongoing -> completed and queues reminders
+import dotenv from 'dotenv';
+import { getClient } from '../db.js';
+import { sendNotificationToClasses } from '../utils/pushNotifications.js';
+import { publishEvent, classChannel, EVENTS } from '../utils/realtime.js';
+import { formatClassTime } from '../utils/schedule.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const INTERVAL_MS = parseInt(process.env.CLASS_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+// Minutes before start to remind enrolled students; 0 disables reminders
+const REMINDER_MINUTES = process.env.CLASS_REMINDER_MINUTES === undefined
+    ? 15
+    : parseInt(process.env.CLASS_REMINDER_MINUTES, 10) || 0;
+// Arbitrary constant shared by every instance so only one runs the scheduler per tick
+const SCHEDULER_LOCK_KEY = 72706002;
+
+const END_TIME_SQL = `start_time + make_interval(mins => duration_minutes)`;
+
+let timer = null;
+let running = false;
+let currentTick = null;
+
+async function advanceStatuses(client) {
+    const started = await client.query(`
+        UPDATE classes SET status = 'ongoing', updated_at = NOW()
+        WHERE status IN ('scheduled', 'rescheduled')
+          AND start_time <= NOW() AND ${END_TIME_SQL} > NOW()
+        RETURNING id, class_name`);
+
+    const completed = await client.query(`
+        UPDATE classes SET status = 'completed', updated_at = NOW()
+        WHERE status IN ('scheduled', 'rescheduled', 'ongoing')
+          AND ${END_TIME_SQL} <= NOW()
+        RETURNING id, class_name`);
+
+    for (const row of started.rows) {
+        await publishEvent({ channels: [classChannel(row.id)], type: EVENTS.CLASS_STATUS_CHANGED, data: { classId: row.id, status: 'ongoing' } }, client);
+    }
+    for (const row of completed.rows) {
+        await publishEvent({ channels: [classChannel(row.id)], type: EVENTS.CLASS_STATUS_CHANGED, data: { classId: row.id, status: 'completed' } }, client);
+    }
+
+    if (started.rowCount > 0 || completed.rowCount > 0) {
+        logger.info(`Class scheduler: ${started.rowCount} started, ${completed.rowCount} completed.`);
+    }
+}
+
+async function queueReminders(client) {
+    if (REMINDER_MINUTES <= 0) return;
+
+    // Claiming with reminder_sent_at first means a crash can skip a reminder but never send it twice
+    const { rows } = await client.query(`
+        UPDATE classes SET reminder_sent_at = NOW()
+        WHERE status IN ('scheduled', 'rescheduled') AND reminder_sent_at IS NULL
+          AND start_time > NOW() AND start_time <= NOW() + make_interval(mins => $1)
+        RETURNING id, class_name, start_time, location`, [REMINDER_MINUTES]);
+
+    for (const cls of rows) {
+        const minutes = Math.max(Math.round((new Date(cls.start_time).getTime() - Date.now()) / 60000), 1);
+        await sendNotificationToClasses([cls.id], {
+            title: `Starting soon: ${cls.class_name}`,
+            message: `${cls.class_name} starts in ${minutes} minute${minutes === 1 ? '' : 's'} ` +
+                `(${formatClassTime(cls.start_time)}) in ${cls.location || 'TBA'}.`,
+            type: 'class_reminder',
+            source: 'system',
+            data: { startTime: cls.start_time, room: cls.location },
+        });
+    }
+}
+
+async function tick() {
+    let client;
+    try {
+        client = await getClient();
+        const lock = await client.query('SELECT pg_try_advisory_lock($1) as acquired', [SCHEDULER_LOCK_KEY]);
+        if (!lock.rows[0].acquired) return; // Another instance is running this tick
+
+        try {
+            await advanceStatuses(client);
+            await queueReminders(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [SCHEDULER_LOCK_KEY]);
+        }
+    } catch (error) {
+        logger.error('Class scheduler error:', error.message);
+    } finally {
+        if (client) client.release();
+    }
+}
+
+function scheduleNext() {
+    if (!running) return;
+    timer = setTimeout(async () => {
+        currentTick = tick();
+        await currentTick;
+        currentTick = null;
+        scheduleNext();
+    }, INTERVAL_MS);
+}
+
+/**
+ * Starts the class lifecycle scheduler. Safe to run on every instance.
+ */
+export const startClassLifecycleWorker = () => {
+    if (running) return;
+    running = true;
+    logger.info(`Class scheduler started (interval ${INTERVAL_MS}ms, reminders ${REMINDER_MINUTES || 'off'}${REMINDER_MINUTES ? ' min' : ''})`);
+    // Run once right away so statuses are fresh after a deploy
+    currentTick = tick().finally(() => {
+        currentTick = null;
+        scheduleNext();
+    });
+};
+
+/**
+ * Stops the scheduler and waits for an in-flight tick to finish.
+ * @returns {Promise<void>}
+ */
+export const stopClassLifecycleWorker = async () => {
+    running = false;
+    clearTimeout(timer);
+    if (currentTick) await currentTick;
+    logger.info('Class scheduler stopped');
+};
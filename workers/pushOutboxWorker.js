@@ -0,0 +1,210 @@
+// workers/pushOutboxWorker.js - Drains push_outbox: sends, retries with backoff, polls receipts
+import dotenv from 'dotenv';
+import { pool } from '../db.js';
+import { sendPushMessages, getPushReceipts, PERMANENT_PUSH_ERRORS } from '../utils/expoClient.js';
+import logger from '../utils/logger.js';
+import { counter } from '../utils/metrics.js';
+
+dotenv.config();
+
+const POLL_INTERVAL_MS = parseInt(process.env.PUSH_WORKER_INTERVAL_MS, 10) || 5000;
+const BATCH_SIZE = parseInt(process.env.PUSH_WORKER_BATCH_SIZE, 10) || 500;
+const MAX_ATTEMPTS = parseInt(process.env.PUSH_MAX_ATTEMPTS, 10) || 6;
+const BACKOFF_BASE_MS = parseInt(process.env.PUSH_BACKOFF_BASE_MS, 10) || 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+// Expo recommends waiting ~15 minutes before fetching receipts; they are kept for 24 hours
+const RECEIPT_DELAY_MS = parseInt(process.env.PUSH_RECEIPT_DELAY_MS, 10) || 15 * 60 * 1000;
+const RECEIPT_RETENTION_HOURS = 24;
+// Rows stuck in 'sending' this long belong to a worker that died mid-batch
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+const pushSent = counter('push_notifications_sent_total', 'Push messages accepted by Expo.');
+const pushDelivered = counter('push_notifications_delivered_total', 'Push messages confirmed delivered by an Expo receipt.');
+const pushRetried = counter('push_notifications_retried_total', 'Push sends that failed temporarily and were rescheduled.');
+// stage: ticket (rejected when sent) or receipt (failed after acceptance)
+const pushFailed = counter('push_notifications_failed_total', 'Push messages that failed for good, by stage and Expo error.', ['stage', 'error']);
+const tokensPruned = counter('push_tokens_pruned_total', 'Push tokens deleted because Expo reported the device as unregistered.');
+
+let timer = null;
+let running = false;
+let currentTick = null;
+
+const backoffDelayMs = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+async function pruneDeadTokens(tokens) {
+    if (tokens.length === 0) return;
+    const { rowCount } = await pool.query('DELETE FROM push_tokens WHERE token = ANY($1::text[])', [tokens]);
+    tokensPruned.inc({}, rowCount);
+    logger.info(`Pruned ${rowCount} unregistered push token(s).`);
+}
+
+async function requeueStaleRows() {
+    await pool.query(
+        `UPDATE push_outbox SET status = 'pending', updated_at = NOW()
+         WHERE status = 'sending' AND updated_at < NOW() - make_interval(secs => $1)`,
+        [STALE_SENDING_MS / 1000]
+    );
+}
+
+// Claims due rows so concurrent workers (on other instances) never send the same message twice
+async function claimBatch() {
+    const { rows } = await pool.query(`
+        UPDATE push_outbox SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+        WHERE id IN (
+            SELECT id FROM push_outbox
+            WHERE status = 'pending' AND next_attempt_at <= NOW()
+            ORDER BY next_attempt_at ASC, id ASC
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, token, title, body, data, attempts`, [BATCH_SIZE]);
+    return rows;
+}
+
+async function sendBatch(rows) {
+    const tickets = await sendPushMessages(rows.map(row => ({
+        to: row.token,
+        sound: 'default',
+        title: row.title,
+        body: row.body,
+        data: row.data,
+    })));
+
+    const deadTokens = [];
+    let sent = 0, retried = 0, failed = 0;
+
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const ticket = tickets[i];
+
+        if (ticket.status === 'ok') {
+            await pool.query(
+                `UPDATE push_outbox SET status = 'sent', ticket_id = $2, sent_at = NOW(), last_error = NULL, updated_at = NOW()
+                 WHERE id = $1`,
+                [row.id, ticket.id]
+            );
+            sent++;
+            continue;
+        }
+
+        const errorCode = ticket.details?.error;
+        const errorMessage = ticket.requestError || ticket.message || errorCode || 'Unknown push error';
+        if (errorCode === 'DeviceNotRegistered') deadTokens.push(row.token);
+
+        if (PERMANENT_PUSH_ERRORS.includes(errorCode) || row.attempts >= MAX_ATTEMPTS) {
+            await pool.query(
+                `UPDATE push_outbox SET status = 'failed', last_error = $2, updated_at = NOW() WHERE id = $1`,
+                [row.id, errorMessage]
+            );
+            failed++;
+            pushFailed.inc({ stage: 'ticket', error: errorCode || 'unknown' });
+        } else {
+            await pool.query(
+                `UPDATE push_outbox SET status = 'pending', last_error = $2,
+                        next_attempt_at = NOW() + make_interval(secs => $3), updated_at = NOW()
+                 WHERE id = $1`,
+                [row.id, errorMessage, backoffDelayMs(row.attempts) / 1000]
+            );
+            retried++;
+        }
+    }
+
+    pushSent.inc({}, sent);
+    pushRetried.inc({}, retried);
+
+    await pruneDeadTokens(deadTokens);
+    logger.info(`Push outbox batch: ${sent} sent, ${retried} to retry, ${failed} failed.`);
+}
+
+async function pollReceipts() {
+    const { rows } = await pool.query(`
+        SELECT id, token, ticket_id FROM push_outbox
+        WHERE status = 'sent' AND ticket_id IS NOT NULL
+          AND sent_at <= NOW() - make_interval(secs => $1)
+          AND sent_at > NOW() - make_interval(hours => $2)
+        ORDER BY sent_at ASC
+        LIMIT $3`, [RECEIPT_DELAY_MS / 1000, RECEIPT_RETENTION_HOURS, BATCH_SIZE]);
+    if (rows.length === 0) return;
+
+    const receipts = await getPushReceipts(rows.map(row => row.ticket_id));
+    const deadTokens = [];
+
+    for (const row of rows) {
+        const receipt = receipts[row.ticket_id];
+        if (!receipt) continue; // Not ready yet; checked again next tick
+
+        if (receipt.status === 'ok') {
+            await pool.query(
+                `UPDATE push_outbox SET status = 'delivered', delivered_at = NOW(), updated_at = NOW() WHERE id = $1`,
+                [row.id]
+            );
+            pushDelivered.inc();
+        } else {
+            const errorCode = receipt.details?.error;
+            pushFailed.inc({ stage: 'receipt', error: errorCode || 'unknown' });
+            if (errorCode === 'DeviceNotRegistered') deadTokens.push(row.token);
+            await pool.query(
+                `UPDATE push_outbox SET status = 'failed', last_error = $2, updated_at = NOW() WHERE id = $1`,
+                [row.id, receipt.message || errorCode || 'Receipt error']
+            );
+        }
+    }
+
+    await pruneDeadTokens(deadTokens);
+}
+
+// Expo drops receipts after RECEIPT_RETENTION_HOURS, so rows still 'sent' by then can never be confirmed
+async function expireUnconfirmedRows() {
+    const { rowCount } = await pool.query(
+        `UPDATE push_outbox SET status = 'failed', last_error = 'No receipt within the retention window', updated_at = NOW()
+         WHERE status = 'sent' AND sent_at <= NOW() - make_interval(hours => $1)`,
+        [RECEIPT_RETENTION_HOURS]
+    );
+    if (rowCount > 0) {
+        pushFailed.inc({ stage: 'receipt', error: 'ReceiptExpired' }, rowCount);
+        logger.warn(`Marked ${rowCount} push message(s) failed: no receipt within ${RECEIPT_RETENTION_HOURS} hours.`);
+    }
+}
+
+async function tick() {
+    try {
+        await requeueStaleRows();
+        const batch = await claimBatch();
+        if (batch.length > 0) await sendBatch(batch);
+        await pollReceipts();
+        await expireUnconfirmedRows();
+    } catch (error) {
+        logger.error('Push outbox worker error:', error.message);
+    }
+}
+
+function scheduleNext() {
+    if (!running) return;
+    timer = setTimeout(async () => {
+        currentTick = tick();
+        await currentTick;
+        currentTick = null;
+        scheduleNext();
+    }, POLL_INTERVAL_MS);
+}
+
+/**
+ * Starts polling the outbox in the background.
+ */
+export const startPushOutboxWorker = () => {
+    if (running) return;
+    running = true;
+    logger.info(`Push outbox worker started (interval ${POLL_INTERVAL_MS}ms)`);
+    scheduleNext();
+};
+
+/**
+ * Stops polling and waits for an in-flight batch to finish.
+ * @returns {Promise<void>}
+ */
+export const stopPushOutboxWorker = async () => {
+    running = false;
+    clearTimeout(timer);
+    if (currentTick) await currentTick;
+    logger.info('Push outbox worker stopped');
+};